@@ -11,18 +11,29 @@ import io.ktor.server.request.*
 import io.ktor.server.response.*
 import io.ktor.server.routing.*
 import io.ktor.server.http.content.*
+import io.ktor.server.sse.*
+import io.ktor.sse.*
 import io.nexure.discount.database.DatabaseConfig
 import io.nexure.discount.model.ApplyDiscountRequest
+import io.nexure.discount.model.CountryResponse
 import io.nexure.discount.model.Discount
 import io.nexure.discount.model.ApplyDiscountResponse
+import io.nexure.discount.model.ProductChangedEvent
 import io.nexure.discount.repository.ProductRepository
 import io.nexure.discount.service.DataSeedingService
 import io.nexure.discount.service.PriceCalculationService
+import io.nexure.discount.service.ProductEventBus
 import io.nexure.discount.service.VatService
+import kotlinx.coroutines.delay
+import kotlinx.coroutines.launch
+import kotlinx.serialization.encodeToString
 import kotlinx.serialization.json.Json
 
 const val DISCOUNT_ENDPOINT = "/discount"
 
+// Comment lines sent on idle /events streams so proxies don't close them
+const val EVENTS_KEEP_ALIVE_MS = 15_000L
+
 fun main() {
     embeddedServer(
         factory = Netty,
@@ -61,6 +72,9 @@ fun Application.module() {
         })
     }
     
+    // Server-Sent Events for GET /events
+    install(SSE)
+    
     // Configure error handling with proper HTTP status codes
     install(StatusPages) {
         exception<IllegalArgumentException> { call, cause ->
@@ -120,6 +134,17 @@ fun Application.routing() {
             }
         }
         
+        /**
+         * GET /countries
+         * Returns the supported countries with their VAT rates so clients don't hard-code them
+         */
+        get("/countries") {
+            val countries = VatService.getCountryVatRates().map { (name, vatRate) ->
+                CountryResponse(name = name, vatRate = vatRate)
+            }
+            call.respond(HttpStatusCode.OK, countries)
+        }
+        
         /**
          * PUT /products/{id}/discount
          * Applies a discount to a product with idempotency and concurrency safety
@@ -146,6 +171,14 @@ fun Application.routing() {
                     )
                     return@put
                 }
+
+                if (discountRequest.discountId.length > ApplyDiscountRequest.DISCOUNT_ID_MAX_LENGTH) {
+                    call.respond(
+                        HttpStatusCode.BadRequest,
+                        mapOf("error" to "Discount ID must be at most ${ApplyDiscountRequest.DISCOUNT_ID_MAX_LENGTH} characters")
+                    )
+                    return@put
+                }
                 
                 if (discountRequest.percent <= 0 || discountRequest.percent > 100) {
                     call.respond(
@@ -168,6 +201,17 @@ fun Application.routing() {
                     val updatedProduct = productRepository.findById(productId)
                     if (updatedProduct != null) {
                         val productResponse = PriceCalculationService.toProductResponse(updatedProduct)
+                        
+                        // Only real changes are broadcast; "already applied" left the product as it was
+                        ProductEventBus.publish(
+                            ProductChangedEvent(
+                                product = productResponse,
+                                discountId = discount.discountId,
+                                percent = discount.percent,
+                                timestamp = System.currentTimeMillis()
+                            )
+                        )
+                        
                         call.respond(
                             HttpStatusCode.OK, 
                             ApplyDiscountResponse(
@@ -205,6 +249,31 @@ fun Application.routing() {
             }
         }
         
+        /**
+         * GET /events
+         * Server-Sent Events stream: a "ready" event once subscribed, then a "product-changed" event
+         * (ProductChangedEvent as JSON) every time a discount is applied
+         */
+        sse("/events") {
+            launch {
+                while (true) {
+                    delay(EVENTS_KEEP_ALIVE_MS)
+                    send(ServerSentEvent(comments = "keep-alive"))
+                }
+            }
+            
+            send(ServerSentEvent(data = "{}", event = "ready"))
+            ProductEventBus.events.collect { event ->
+                send(
+                    ServerSentEvent(
+                        data = Json.encodeToString(event),
+                        event = "product-changed",
+                        id = "${event.timestamp}-${event.product.id}"
+                    )
+                )
+            }
+        }
+        
         /**
          * GET /health
          * Health check endpoint for monitoring
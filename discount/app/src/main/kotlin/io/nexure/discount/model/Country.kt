@@ -0,0 +1,14 @@
+package io.nexure.discount.model
+
+import kotlinx.serialization.Serializable
+
+/**
+ * CountryResponse describes a supported country for API responses
+ * @param name Country name as accepted by GET /products?country=
+ * @param vatRate VAT rate as decimal (e.g., 0.25 for 25%)
+ */
+@Serializable
+data class CountryResponse(
+    val name: String,
+    val vatRate: Double
+)
@@ -26,4 +26,9 @@ data class Discount(
 data class ApplyDiscountRequest(
     val discountId: String,
     val percent: Double
-)
\ No newline at end of file
+) {
+    companion object {
+        /** Size of the product_discounts.discount_id column */
+        const val DISCOUNT_ID_MAX_LENGTH = 50
+    }
+}
\ No newline at end of file
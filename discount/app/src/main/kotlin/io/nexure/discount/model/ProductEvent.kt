@@ -0,0 +1,18 @@
+package io.nexure.discount.model
+
+import kotlinx.serialization.Serializable
+
+/**
+ * Pushed to GET /events subscribers after a discount has been applied to a product
+ * @param product The product as it is now, with the new final price
+ * @param discountId The discount that was just applied
+ * @param percent Its percentage
+ * @param timestamp Epoch milliseconds on the server
+ */
+@Serializable
+data class ProductChangedEvent(
+    val product: ProductResponse,
+    val discountId: String,
+    val percent: Double,
+    val timestamp: Long
+)
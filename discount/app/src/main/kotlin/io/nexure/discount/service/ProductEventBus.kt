@@ -0,0 +1,32 @@
+package io.nexure.discount.service
+
+import io.nexure.discount.model.ProductChangedEvent
+import kotlinx.coroutines.channels.BufferOverflow
+import kotlinx.coroutines.flow.MutableSharedFlow
+import kotlinx.coroutines.flow.SharedFlow
+import kotlinx.coroutines.flow.asSharedFlow
+
+/**
+ * In-process fan-out of product changes to the GET /events streams
+ * Events are not replayed: a client that connects later fetches the products it needs anyway.
+ * Publishing never suspends; a subscriber that falls more than BUFFER_SIZE events behind loses the oldest ones.
+ */
+object ProductEventBus {
+    private const val BUFFER_SIZE = 64
+
+    private val flow = MutableSharedFlow<ProductChangedEvent>(
+        extraBufferCapacity = BUFFER_SIZE,
+        onBufferOverflow = BufferOverflow.DROP_OLDEST
+    )
+
+    /** Events published from now on */
+    val events: SharedFlow<ProductChangedEvent> = flow.asSharedFlow()
+
+    /**
+     * Notify every connected subscriber
+     * @param event The change to broadcast
+     */
+    fun publish(event: ProductChangedEvent) {
+        flow.tryEmit(event)
+    }
+}
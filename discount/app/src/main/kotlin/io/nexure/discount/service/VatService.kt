@@ -6,13 +6,16 @@ package io.nexure.discount.service
  */
 object VatService {
     
-    // VAT rates with lowercase keys for case-insensitive lookup
-    private val vatRates = mapOf(
-        "sweden" to 0.25,   // 25%
-        "germany" to 0.19,  // 19%
-        "france" to 0.20    // 20%
+    // Supported countries and their VAT rates, keyed by display name (insertion order is kept)
+    private val countryVatRates = linkedMapOf(
+        "Sweden" to 0.25,   // 25%
+        "Germany" to 0.19,  // 19%
+        "France" to 0.20    // 20%
     )
     
+    // VAT rates with lowercase keys for case-insensitive lookup
+    private val vatRates = countryVatRates.mapKeys { it.key.lowercase() }
+    
     /**
      * Get VAT rate for a specific country (case-insensitive)
      * @param country The country name (case-insensitive, will be normalized)
@@ -22,7 +25,7 @@ object VatService {
     fun getVatRate(country: String): Double {
         val normalizedCountry = country.trim().lowercase()
         return vatRates[normalizedCountry] 
-            ?: throw IllegalArgumentException("Unsupported country: $country. Supported countries: Sweden, Germany, France")
+            ?: throw IllegalArgumentException("Unsupported country: $country. Supported countries: ${countryVatRates.keys.joinToString()}")
     }
     
     /**
@@ -40,6 +43,14 @@ object VatService {
      * @return Set of supported country names (properly capitalized)
      */
     fun getSupportedCountries(): Set<String> {
-        return setOf("Sweden", "Germany", "France")
+        return countryVatRates.keys
+    }
+    
+    /**
+     * Get all supported countries with their VAT rates
+     * @return Map of country name (properly capitalized) to VAT rate as decimal
+     */
+    fun getCountryVatRates(): Map<String, Double> {
+        return countryVatRates
     }
 }
\ No newline at end of file
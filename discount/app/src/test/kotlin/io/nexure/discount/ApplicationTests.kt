@@ -1,9 +1,11 @@
 package io.nexure.discount
 
+import io.ktor.client.plugins.sse.*
 import io.ktor.client.request.*
 import io.ktor.client.statement.*
 import io.ktor.http.*
 import io.ktor.server.testing.*
+import io.ktor.sse.ServerSentEvent
 import kotlin.test.*
 import org.junit.jupiter.api.BeforeEach
 import org.jetbrains.exposed.sql.*
@@ -13,6 +15,7 @@ import io.nexure.discount.database.ProductDiscounts
 import java.math.BigDecimal
 import kotlinx.serialization.json.*
 import kotlinx.coroutines.*
+import kotlinx.coroutines.flow.first
 
 class ApplicationTests {
 
@@ -117,6 +120,45 @@ class ApplicationTests {
         }
     }
 
+    @Test
+    fun testGetCountries() = testApplication {
+        application {
+            module()
+        }
+        client.get("/countries").apply {
+            assertEquals(HttpStatusCode.OK, status)
+            
+            val response = Json.parseToJsonElement(bodyAsText()).jsonArray
+            val vatRates = response.associate { element ->
+                val country = element.jsonObject
+                country["name"]!!.jsonPrimitive.content to country["vatRate"]!!.jsonPrimitive.double
+            }
+            
+            // Should match VatService exactly
+            assertEquals(mapOf("Sweden" to 0.25, "Germany" to 0.19, "France" to 0.20), vatRates)
+        }
+    }
+
+    @Test
+    fun testFrontendRoutesFallBackToIndexHtml() = testApplication {
+        application {
+            module()
+        }
+        // Deep links handled by the React router must survive a browser refresh
+        listOf("/countries/Germany", "/products/test-product-germany", "/logs").forEach { path ->
+            client.get(path).apply {
+                assertEquals(HttpStatusCode.OK, status, "GET $path")
+                assertTrue(bodyAsText().contains("<div id=\"root\">"), "GET $path should serve index.html")
+            }
+        }
+
+        // API routes keep priority over the fallback
+        client.get("/countries").apply {
+            assertEquals(HttpStatusCode.OK, status)
+            assertTrue(contentType()?.match(ContentType.Application.Json) == true)
+        }
+    }
+
     // Note: Commenting out this test as it requires additional investigation
     // The core functionality is working - invalid country validation works
     // but there may be an edge case in the exception handling flow
@@ -338,6 +380,88 @@ class ApplicationTests {
         }
     }
 
+    @Test
+    fun testDiscountIdLengthValidation() = testApplication {
+        application {
+            module()
+        }
+        
+        // Longer than the discount_id column (50 characters)
+        val longIdRequest = """
+            {
+                "discountId": "${"A".repeat(51)}",
+                "percent": 10.0
+            }
+        """.trimIndent()
+        
+        client.put("/products/test-product-sweden/discount") {
+            contentType(ContentType.Application.Json)
+            setBody(longIdRequest)
+        }.apply {
+            assertEquals(HttpStatusCode.BadRequest, status)
+            val response = Json.parseToJsonElement(bodyAsText()).jsonObject
+            assertTrue(response["error"]?.jsonPrimitive?.content?.contains("at most 50 characters") == true)
+        }
+        
+        // Exactly 50 characters is accepted, whatever the characters
+        val validRequest = """
+            {
+                "discountId": "VIP 2024!${"X".repeat(41)}",
+                "percent": 10.0
+            }
+        """.trimIndent()
+        
+        client.put("/products/test-product-sweden/discount") {
+            contentType(ContentType.Application.Json)
+            setBody(validRequest)
+        }.apply {
+            assertEquals(HttpStatusCode.OK, status)
+        }
+    }
+
+    @Test
+    fun testProductChangedEventIsStreamed() = testApplication {
+        application {
+            module()
+        }
+        val sseClient = createClient {
+            install(SSE)
+        }
+        
+        val discountRequest = """
+            {
+                "discountId": "LIVE_UPDATE",
+                "percent": 10.0
+            }
+        """.trimIndent()
+        
+        var received: ServerSentEvent? = null
+        withTimeout(10_000) {
+            sseClient.sse("/events") {
+                received = incoming.first { event ->
+                    // Apply the discount only once the stream is subscribed, so the event can't be missed
+                    if (event.event == "ready") {
+                        launch {
+                            client.put("/products/test-product-sweden/discount") {
+                                contentType(ContentType.Application.Json)
+                                setBody(discountRequest)
+                            }
+                        }
+                    }
+                    event.event == "product-changed"
+                }
+            }
+        }
+        
+        val payload = Json.parseToJsonElement(received?.data ?: "{}").jsonObject
+        assertEquals("LIVE_UPDATE", payload["discountId"]?.jsonPrimitive?.content)
+        val product = payload["product"]?.jsonObject
+        assertEquals("test-product-sweden", product?.get("id")?.jsonPrimitive?.content)
+        assertTrue(product?.get("discounts")?.jsonArray?.any {
+            it.jsonObject["discountId"]?.jsonPrimitive?.content == "LIVE_UPDATE"
+        } == true)
+    }
+
     @Test
     fun testConcurrentDiscountApplication() = testApplication {
         application {
@@ -0,0 +1,85 @@
+/* Service worker: keeps the app shell and the product catalog available offline
+ * - Page loads: network first, falling back to the last cached index.html (every route serves the same shell)
+ * - /assets/*: cache first; Vite puts a content hash in every file name
+ * - GET /products?country= and GET /countries: network first with a short timeout, falling back to the last good response
+ * Everything else (health checks, PUT /discount) goes straight to the network; queued discounts live in
+ * the page's IndexedDB outbox (src/lib/outbox.js), not here
+ * Bump CACHE_VERSION when changing this file's caching rules to drop the old caches on activate
+ */
+
+const CACHE_VERSION = 1
+const SHELL_CACHE = `discount-shell-v${CACHE_VERSION}`
+const API_CACHE = `discount-api-v${CACHE_VERSION}`
+const NETWORK_TIMEOUT = 4000
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then(cache => cache.add('/index.html'))
+      .catch(() => {})
+      .then(() => self.skipWaiting())
+  )
+})
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(k => k !== SHELL_CACHE && k !== API_CACHE).map(k => caches.delete(k))))
+      .then(() => self.clients.claim())
+  )
+})
+
+const isCatalogRequest = (url) =>
+  (url.pathname.endsWith('/products') && url.searchParams.has('country')) || url.pathname.endsWith('/countries')
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event
+  if (request.method !== 'GET') return
+  const url = new URL(request.url)
+
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(request, SHELL_CACHE, '/index.html'))
+  } else if (url.origin === self.location.origin && url.pathname.startsWith('/assets/')) {
+    event.respondWith(cacheFirst(request, SHELL_CACHE))
+  } else if (isCatalogRequest(url)) {
+    event.respondWith(networkFirst(request, API_CACHE, request, NETWORK_TIMEOUT))
+  }
+})
+
+async function cacheFirst(request, cacheName) {
+  const cached = await caches.match(request)
+  if (cached) return cached
+  const response = await fetch(request)
+  if (response.ok) {
+    const cache = await caches.open(cacheName)
+    cache.put(request, response.clone())
+  }
+  return response
+}
+
+/**
+ * Only successful responses are stored, so a 5xx from a struggling server doesn't replace good data
+ * @param {Request|string} cacheKey What to store the response under and read back on failure
+ * @param {number} timeout Give up on the network after this many ms (0 = wait for it)
+ */
+async function networkFirst(request, cacheName, cacheKey, timeout = 0) {
+  const cache = await caches.open(cacheName)
+  try {
+    const response = await withTimeout(fetch(request), timeout)
+    if (response.ok) cache.put(cacheKey, response.clone())
+    else if (response.status >= 500) return (await cache.match(cacheKey)) ?? response
+    return response
+  } catch (e) {
+    const cached = await cache.match(cacheKey)
+    if (cached) return cached
+    throw e
+  }
+}
+
+function withTimeout(promise, ms) {
+  if (!ms) return promise
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`No response within ${ms}ms`)), ms)
+    promise.then(resolve, reject).finally(() => clearTimeout(timer))
+  })
+}
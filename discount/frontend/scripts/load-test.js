@@ -0,0 +1,85 @@
+// Command-line runner for the discount load test (same engine as the UI's Concurrency Test panel)
+// Usage: npm run load-test -- --url http://localhost:8082 --concurrency 20 --requests 100 --products laptop-se,phone-se --collision pool
+import { parseArgs } from 'node:util'
+import { COLLISION_PATTERNS, DEFAULT_CONFIG, formatReport, runLoadTest } from '../src/lib/loadTest.js'
+
+const USAGE = `Options:
+  --url <url>           API root (default http://localhost:8082, or $API_URL)
+  -c, --concurrency <n> Requests in flight at once (default ${DEFAULT_CONFIG.concurrency})
+  -n, --requests <n>    Total requests (default ${DEFAULT_CONFIG.totalRequests})
+  -p, --products <ids>  Comma-separated product IDs (default ${DEFAULT_CONFIG.products.join(',')})
+  --collision <name>    ${COLLISION_PATTERNS.join(' | ')} (default ${DEFAULT_CONFIG.collision})
+  --pool-size <n>       Discount IDs per product for --collision pool (default ${DEFAULT_CONFIG.poolSize})
+  --percent <n>         Discount percent to send, above 0 and at most 100 (default ${DEFAULT_CONFIG.percent})
+  --prefix <text>       Discount ID prefix (default ${DEFAULT_CONFIG.prefix})
+  --json                Print the report as JSON
+Exits with code 1 on invalid options or when the "exactly one applied per (product, discountId)" invariant fails,
+and with code 2 when the run itself fails.`
+
+/** Bad command line: say what's wrong, show the options and stop before sending anything */
+const usageError = (message) => {
+  console.error(`${message}\n\n${USAGE}`)
+  process.exit(1)
+}
+
+const options = {
+  url: { type: 'string', default: process.env.API_URL || 'http://localhost:8082' },
+  concurrency: { type: 'string', short: 'c', default: String(DEFAULT_CONFIG.concurrency) },
+  requests: { type: 'string', short: 'n', default: String(DEFAULT_CONFIG.totalRequests) },
+  products: { type: 'string', short: 'p', default: DEFAULT_CONFIG.products.join(',') },
+  collision: { type: 'string', default: DEFAULT_CONFIG.collision },
+  'pool-size': { type: 'string', default: String(DEFAULT_CONFIG.poolSize) },
+  percent: { type: 'string', default: String(DEFAULT_CONFIG.percent) },
+  prefix: { type: 'string', default: DEFAULT_CONFIG.prefix },
+  json: { type: 'boolean', default: false },
+  help: { type: 'boolean', short: 'h', default: false }
+}
+
+let values
+try {
+  ({ values } = parseArgs({ options }))
+} catch (e) {
+  usageError(e.message)
+}
+
+if (values.help) {
+  console.log(USAGE)
+  process.exit(0)
+}
+
+const toInt = (name) => {
+  const n = Number(values[name])
+  if (!Number.isInteger(n) || n < 1) usageError(`--${name} must be a positive integer, got "${values[name]}"`)
+  return n
+}
+
+const toPercent = (name) => {
+  const n = Number(values[name])
+  if (!(n > 0 && n <= 100)) usageError(`--${name} must be above 0 and at most 100, got "${values[name]}"`)
+  return n
+}
+
+const config = {
+  concurrency: toInt('concurrency'),
+  totalRequests: toInt('requests'),
+  products: values.products.split(',').map(p => p.trim()).filter(Boolean),
+  collision: values.collision,
+  poolSize: toInt('pool-size'),
+  percent: toPercent('percent'),
+  prefix: values.prefix
+}
+if (!config.products.length) usageError('--products needs at least one product ID')
+if (!COLLISION_PATTERNS.includes(config.collision)) usageError(`--collision must be one of ${COLLISION_PATTERNS.join(', ')}, got "${config.collision}"`)
+
+try {
+  const report = await runLoadTest(config, {
+    baseUrl: values.url.replace(/\/+$/, ''),
+    onProgress: values.json ? undefined : (done, total) => process.stderr.write(`\r${done}/${total}`)
+  })
+  if (!values.json) process.stderr.write('\n')
+  console.log(values.json ? JSON.stringify(report, (k, v) => v === Infinity ? 'Infinity' : v, 2) : formatReport(report))
+  process.exit(report.invariant.passed ? 0 : 1)
+} catch (e) {
+  console.error(e.message)
+  process.exit(2)
+}
@@ -0,0 +1,46 @@
+import { useI18n } from '../hooks/useI18n'
+import { STANDALONE_ROUTES, pathFor } from '../lib/router'
+import { cn } from '../lib/utils'
+import CurrencySwitch from './CurrencySwitch'
+import HealthStatus from './HealthStatus'
+import LanguageSwitch from './LanguageSwitch'
+import Link from './Link'
+import LiveStatus from './LiveStatus'
+import ThemeToggle from './ThemeToggle'
+
+/**
+ * Title, navigation between the workspace, /library, /report and /logs, theme/language/currency switches, live-update and backend status
+ * @param {string} workspacePath Where "Workspace" leads back to (keeps the selected country/product)
+ */
+export default function AppHeader({ route, workspacePath, logCount }) {
+  const { t } = useI18n()
+  const navClass = (active) => cn(
+    'rounded-md px-2.5 py-1.5 text-[13px] text-muted-foreground no-underline hover:text-foreground',
+    active && 'bg-card text-foreground'
+  )
+
+  return (
+    <header className="flex shrink-0 items-center justify-between border-b px-5 py-3">
+      <div className="flex items-center gap-2.5">
+        <div className="text-2xl">⚡</div>
+        <div>
+          <div className="text-lg font-semibold">Discount API</div>
+          <div className="text-xs text-muted-foreground">Electrolux • Roshan Reddy</div>
+        </div>
+        <nav className="ml-4 flex gap-1">
+          <Link to={workspacePath} className={navClass(!STANDALONE_ROUTES.includes(route.name))}>{t('nav.workspace')}</Link>
+          <Link to={pathFor('library')} className={navClass(route.name === 'library')}>{t('nav.library')}</Link>
+          <Link to={pathFor('report')} className={navClass(route.name === 'report')}>{t('nav.report')}</Link>
+          <Link to={pathFor('logs')} className={navClass(route.name === 'logs')}>{t('nav.logs', { count: logCount })}</Link>
+        </nav>
+      </div>
+      <div className="flex items-center gap-2.5">
+        <ThemeToggle />
+        <LanguageSwitch />
+        <CurrencySwitch />
+        <LiveStatus />
+        <HealthStatus />
+      </div>
+    </header>
+  )
+}
@@ -0,0 +1,37 @@
+import { cn } from '../lib/utils'
+
+/**
+ * Horizontal bar chart: one row per item, each bar made of coloured segments (stacked) scaled to the largest row
+ * Labels and values are HTML next to a stretched SVG track, so text stays sharp at any width
+ * @param {{key: string, label: string, value: string, segments: {value: number, color: string, title: string}[]}[]} rows
+ */
+export default function BarChart({ rows, className }) {
+  const max = Math.max(0, ...rows.map(row => row.segments.reduce((sum, s) => sum + s.value, 0)))
+
+  return (
+    <div className={cn('flex flex-col gap-1.5', className)}>
+      {rows.map(row => {
+        let offset = 0
+        return (
+          <div key={row.key} className="grid grid-cols-[minmax(0,9rem)_1fr_auto] items-center gap-2 text-[11px]">
+            <span className="truncate font-mono" title={row.label}>{row.label}</span>
+            <svg viewBox="0 0 100 10" preserveAspectRatio="none" className="h-3 w-full" role="img" aria-label={`${row.label}: ${row.value}`}>
+              <rect x="0" y="0" width="100" height="10" className="fill-secondary" />
+              {max > 0 && row.segments.map((segment, i) => {
+                const width = (segment.value / max) * 100
+                const x = offset
+                offset += width
+                return (
+                  <rect key={i} x={x} y="0" width={width} height="10" fill={segment.color}>
+                    <title>{segment.title}</title>
+                  </rect>
+                )
+              })}
+            </svg>
+            <span className="text-right tabular-nums text-muted-foreground">{row.value}</span>
+          </div>
+        )
+      })}
+    </div>
+  )
+}
@@ -0,0 +1,203 @@
+import { useState } from 'react'
+import { useDiscountLibrary } from '../hooks/useDiscountLibrary'
+import { useHealth } from '../hooks/useHealth'
+import { useI18n } from '../hooks/useI18n'
+import { loadCatalog } from '../lib/catalog'
+import { availableDefinitions } from '../lib/discountLibrary'
+import { errorMessage } from '../lib/errors'
+import { APPLIED } from '../lib/loadTest'
+import { mapWithConcurrency } from '../lib/pool'
+import { applyDiscount } from '../lib/productStore'
+import { cn } from '../lib/utils'
+import { checkDiscountId, checkDiscountIdPolicy, checkPercent, normalizeDiscountId } from '../lib/validation'
+import RequestError from './RequestError'
+import { Button } from './ui/button'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from './ui/card'
+import { Input } from './ui/input'
+
+const CONCURRENCY = 4
+
+const CONTROL = 'h-9 bg-secondary text-[13px]'
+
+const STATUS_STYLE = {
+  pending: { className: 'text-muted-foreground', label: '…' },
+  running: { className: 'text-primary', label: '⏳' },
+  applied: { className: 'text-success', key: 'bulk.status.applied' },
+  already: { className: 'text-warning', key: 'bulk.status.already' },
+  failed: { className: 'text-danger', key: 'bulk.status.failed' }
+}
+
+/**
+ * Apply one discount to many products (any country) with at most CONCURRENCY requests in flight
+ * Only items without a successful outcome are sent again on retry
+ * Picking a library definition fills the code and percent; when it is meant for some countries only, the selection
+ * is narrowed to products in those countries (or, with nothing selected, all of them are selected)
+ * A code outside the character policy is flagged while typing but still sent
+ */
+export default function BulkApplyPanel() {
+  const [catalog, setCatalog] = useState(null)
+  const [loading, setLoading] = useState(false)
+  const [selected, setSelected] = useState(new Set())
+  const [discountId, setDiscountId] = useState('')
+  const [percent, setPercent] = useState('')
+  const [items, setItems] = useState({})
+  const [running, setRunning] = useState(false)
+  const [lastRun, setLastRun] = useState(null)
+  const [error, setError] = useState(null)
+  const [problems, setProblems] = useState([])
+  const { writable } = useHealth()
+  const { t } = useI18n()
+  const picks = availableDefinitions(useDiscountLibrary())
+  const policy = checkDiscountIdPolicy(discountId)
+
+  const loadAll = async () => {
+    setLoading(true)
+    setError(null)
+    try {
+      setCatalog(await loadCatalog({ quiet: true }))
+    } catch (e) {
+      setError(e)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const toggle = (ids) => setSelected(prev => {
+    const next = new Set(prev)
+    const allOn = ids.every(id => next.has(id))
+    ids.forEach(id => allOn ? next.delete(id) : next.add(id))
+    return next
+  })
+
+  const pick = (id) => {
+    const definition = picks.find(d => d.id === id)
+    if (!definition) return
+    setDiscountId(definition.code)
+    setPercent(String(definition.percent))
+    if (!catalog || definition.countries.length === 0) return
+    const intended = catalog.filter(c => definition.countries.includes(c.country)).flatMap(c => c.products.map(p => p.id))
+    setSelected(prev => new Set(prev.size ? intended.filter(id => prev.has(id)) : intended))
+  }
+
+  const setItem = (id, patch) => setItems(prev => ({ ...prev, [id]: { ...prev[id], ...patch } }))
+
+  const run = async (ids, discount) => {
+    setError(null)
+    setRunning(true)
+    setLastRun(discount)
+    setItems(prev => ({ ...prev, ...Object.fromEntries(ids.map(id => [id, { status: 'pending', error: null }])) }))
+
+    await mapWithConcurrency(ids, CONCURRENCY, async (id) => {
+      setItem(id, { status: 'running' })
+      try {
+        const data = await applyDiscount(id, discount)
+        setItem(id, { status: data.message === APPLIED ? 'applied' : 'already' })
+      } catch (e) {
+        setItem(id, { status: 'failed', error: e })
+      }
+    })
+
+    setRunning(false)
+  }
+
+  const start = () => {
+    // Kept as {key, params} and translated when rendered, so they follow the language switcher
+    const code = normalizeDiscountId(discountId)
+    const found = [checkDiscountId(code), checkPercent(percent)].filter(Boolean)
+    setProblems(found)
+    if (found.length) return
+    setItems({})
+    run([...selected], { discountId: code, percent: Number(percent) })
+  }
+
+  // Re-sends the original discount, even if the form was edited since
+  const retryFailed = () => run(Object.keys(items).filter(id => items[id].status === 'failed'), lastRun)
+
+  const counts = Object.values(items).reduce((acc, item) => ({ ...acc, [item.status]: (acc[item.status] || 0) + 1 }), {})
+  const done = (counts.applied || 0) + (counts.already || 0) + (counts.failed || 0)
+  const total = Object.keys(items).length
+
+  return (
+    <Card className="mb-4 hover:shadow-sm">
+      <CardHeader className="space-y-1 p-4 pb-3">
+        <CardTitle className="cursor-help text-sm" title={t('bulk.titleHint')}>{t('bulk.title')}</CardTitle>
+        <CardDescription className="text-[11px]">{t('bulk.description')}</CardDescription>
+      </CardHeader>
+      <CardContent className="p-4 pt-0">
+        {!catalog ? (
+          <Button variant="secondary" size="sm" className="text-xs" onClick={loadAll} disabled={loading}>
+            {t(loading ? 'bulk.loading' : 'bulk.loadAll')}
+          </Button>
+        ) : (
+          <div className="flex gap-2.5">
+            {catalog.map(({ country, products }) => {
+              const ids = products.map(p => p.id)
+              return (
+                <div key={country} className="flex-1 rounded-md bg-secondary px-2.5 py-2">
+                  <label className="mb-1.5 flex cursor-pointer items-center gap-1.5 text-xs font-semibold">
+                    <input type="checkbox" checked={ids.length > 0 && ids.every(id => selected.has(id))} onChange={() => toggle(ids)} disabled={running} />
+                    {country}
+                  </label>
+                  {products.map(p => {
+                    const item = items[p.id]
+                    const style = item && STATUS_STYLE[item.status]
+                    return (
+                      <label key={p.id} className="flex cursor-pointer items-center gap-1.5 py-0.5 text-[11px]" title={item?.error ? errorMessage(t, item.error) : p.name}>
+                        <input type="checkbox" checked={selected.has(p.id)} onChange={() => toggle([p.id])} disabled={running} />
+                        <span className="font-mono">{p.id}</span>
+                        {style && <span className={cn('ml-auto text-[10px]', style.className)}>{style.key ? t(style.key) : style.label}</span>}
+                      </label>
+                    )
+                  })}
+                </div>
+              )
+            })}
+          </div>
+        )}
+
+        <div className="mt-3 flex items-center gap-2.5">
+          {picks.length > 0 && (
+            <select className={cn(CONTROL, 'w-40 shrink-0 rounded-md border border-input px-2')} value="" onChange={e => pick(e.target.value)} disabled={running} title={t('bulk.fromLibraryHint')}>
+              <option value="">{t('bulk.fromLibrary')}</option>
+              {picks.map(d => (
+                <option key={d.id} value={d.id}>
+                  {d.code} ({d.percent}%){d.countries.length ? ` – ${d.countries.join(', ')}` : ''}
+                </option>
+              ))}
+            </select>
+          )}
+          <Input className={CONTROL} placeholder={t('bulk.code')} value={discountId} onChange={e => setDiscountId(e.target.value.toUpperCase())} />
+          <Input className={cn(CONTROL, 'w-24 shrink-0')} type="number" min="0.01" max="100" step="0.01" placeholder="%" value={percent} onChange={e => setPercent(e.target.value)} />
+          <Button className="h-9 shrink-0 px-5 text-[13px] font-semibold" onClick={start} disabled={running || selected.size === 0 || !writable}>
+            {t('bulk.apply', { count: selected.size })}
+          </Button>
+        </div>
+
+        {error && <RequestError className="mt-3" title={t('bulk.loadFailed')} error={error} onRetry={loadAll} />}
+        {problems.length > 0 && <ErrorBox>{problems.map(p => t(p.key, p.params)).join('. ')}</ErrorBox>}
+        {policy && !running && <div className="mt-2 text-[11px] text-warning" role="status">{t(policy.key, policy.params)}</div>}
+
+        {total > 0 && (
+          <>
+            <div className="mt-3 h-1.5 rounded bg-background">
+              <div className="h-1.5 rounded bg-primary transition-[width] duration-200" style={{ width: `${(done / total) * 100}%` }} />
+            </div>
+            <div className="mt-2 flex items-center gap-3 text-xs text-muted-foreground">
+              <span className="text-success">{t('bulk.applied', { count: counts.applied || 0 })}</span>
+              <span className="text-warning">{t('bulk.already', { count: counts.already || 0 })}</span>
+              <span className="text-danger">{t('bulk.failed', { count: counts.failed || 0 })}</span>
+              <span>{done}/{total}</span>
+              {!running && counts.failed > 0 && (
+                <Button variant="secondary" size="sm" className="h-7 px-3 text-xs" onClick={retryFailed} disabled={!writable} title={t('bulk.retryFailedHint', { code: lastRun.discountId })}>{t('bulk.retryFailed')}</Button>
+              )}
+            </div>
+          </>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
+
+function ErrorBox({ children }) {
+  return <div className="mt-3 rounded-md bg-destructive px-3 py-2.5 text-[13px] text-destructive-foreground">{children}</div>
+}
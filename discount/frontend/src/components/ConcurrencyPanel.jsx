@@ -0,0 +1,181 @@
+import { useState } from 'react'
+import { useHealth } from '../hooks/useHealth'
+import { useI18n } from '../hooks/useI18n'
+import { API_BASE_URL } from '../lib/api'
+import { COLLISION_PATTERNS, DEFAULT_CONFIG, runLoadTest } from '../lib/loadTest'
+import { cn } from '../lib/utils'
+import { Button } from './ui/button'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from './ui/card'
+import { Input } from './ui/input'
+
+const CONTROL = 'h-9 bg-secondary text-[13px]'
+
+/**
+ * Configurable load test against PUT /products/{id}/discount (shares lib/loadTest with the CLI)
+ */
+export default function ConcurrencyPanel({ onComplete }) {
+  const [config, setConfig] = useState({ ...DEFAULT_CONFIG, products: DEFAULT_CONFIG.products.join(', ') })
+  const [progress, setProgress] = useState(null)
+  const [report, setReport] = useState(null)
+  const [error, setError] = useState(null)
+  const { t } = useI18n()
+  const { writable } = useHealth()
+
+  const set = (key) => (e) => setConfig(prev => ({ ...prev, [key]: e.target.value }))
+
+  const run = async () => {
+    setReport(null)
+    setError(null)
+    const products = config.products.split(',').map(p => p.trim()).filter(Boolean)
+    const numbers = {
+      concurrency: parseInt(config.concurrency, 10),
+      totalRequests: parseInt(config.totalRequests, 10),
+      poolSize: parseInt(config.poolSize, 10),
+      percent: parseFloat(config.percent)
+    }
+    if (!products.length || Object.values(numbers).some(n => !(n > 0))) {
+      setError(t('loadTest.invalidConfig'))
+      return
+    }
+
+    setProgress({ done: 0, total: numbers.totalRequests })
+    try {
+      const result = await runLoadTest({ ...config, ...numbers, products }, {
+        baseUrl: API_BASE_URL,
+        onProgress: (done, total) => setProgress({ done, total })
+      })
+      setReport(result)
+      onComplete?.(result)
+    } catch (e) {
+      setError(e.message)
+    } finally {
+      setProgress(null)
+    }
+  }
+
+  const maxBucket = report ? Math.max(1, ...report.histogram.map(b => b.count)) : 1
+
+  return (
+    <Card className="mb-4 hover:shadow-sm">
+      <CardHeader className="space-y-1 p-4 pb-3">
+        <CardTitle className="cursor-help text-sm" title={t('loadTest.titleHint')}>{t('loadTest.title')}</CardTitle>
+        <CardDescription className="text-xs leading-relaxed">
+          {t('loadTest.description')} <code className="rounded bg-background px-1 font-mono">npm run load-test</code>
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="p-4 pt-0">
+        <div className="mb-3 grid grid-cols-3 gap-2.5">
+          <Field label={t('loadTest.concurrency')} title={t('loadTest.concurrencyHint')}>
+            <Input className={CONTROL} type="number" min="1" value={config.concurrency} onChange={set('concurrency')} />
+          </Field>
+          <Field label={t('loadTest.totalRequests')} title={t('loadTest.totalRequestsHint')}>
+            <Input className={CONTROL} type="number" min="1" value={config.totalRequests} onChange={set('totalRequests')} />
+          </Field>
+          <Field label={t('loadTest.percent')} title={t('loadTest.percentHint')}>
+            <Input className={CONTROL} type="number" min="0.01" max="100" step="0.01" value={config.percent} onChange={set('percent')} />
+          </Field>
+          <Field label={t('loadTest.products')} title={t('loadTest.productsHint')} wide>
+            <Input className={CONTROL} value={config.products} onChange={set('products')} placeholder="laptop-se, phone-se" />
+          </Field>
+          <Field label={t('loadTest.pattern')} title={t(`loadTest.pattern.${config.collision}`)}>
+            <select className={cn(CONTROL, 'w-full rounded-md border border-input px-3')} value={config.collision} onChange={set('collision')}>
+              {COLLISION_PATTERNS.map(p => <option key={p} value={p}>{p}</option>)}
+            </select>
+          </Field>
+          {config.collision === 'pool' && (
+            <Field label={t('loadTest.poolSize')} title={t('loadTest.poolSizeHint')}>
+              <Input className={CONTROL} type="number" min="1" value={config.poolSize} onChange={set('poolSize')} />
+            </Field>
+          )}
+        </div>
+
+        <Button className="w-full bg-mutation font-semibold text-mutation-foreground hover:bg-mutation/90" onClick={run} disabled={!!progress || !writable} title={t(writable ? 'loadTest.runHint' : 'health.mutationsDisabled')}>
+          {progress
+            ? t('loadTest.running', progress)
+            : t('loadTest.run', { count: Number(config.totalRequests), concurrency: config.concurrency })}
+        </Button>
+
+        {error && <Result ok={false}>{error}</Result>}
+
+        {report && (
+          <div className="mt-1">
+            <Result ok={report.invariant.passed}>
+              {report.invariant.passed
+                ? t('loadTest.passed', { count: report.invariant.pairs })
+                : t('loadTest.failed', { count: report.invariant.pairs, violations: report.invariant.violations.length })}
+            </Result>
+
+            <div className="mt-3 grid grid-cols-7 gap-1.5">
+              <Stat label={t('loadTest.throughput')} value={`${report.throughput.toFixed(1)}/s`} />
+              <Stat label="p50" value={`${report.latency.p50.toFixed(0)}ms`} />
+              <Stat label="p95" value={`${report.latency.p95.toFixed(0)}ms`} />
+              <Stat label="p99" value={`${report.latency.p99.toFixed(0)}ms`} />
+              <Stat label={t('loadTest.applied')} value={report.applied} />
+              <Stat label={t('loadTest.already')} value={report.alreadyApplied} />
+              <Stat label={t('loadTest.failedCount')} value={report.failed} />
+            </div>
+
+            <SectionLabel>{t('loadTest.histogram')}</SectionLabel>
+            {report.histogram.filter(b => b.count > 0).map(b => (
+              <div key={b.le} className="mb-0.5 flex items-center gap-2">
+                <span className="w-16 text-right font-mono text-[10px] text-muted-foreground">≤ {b.le === Infinity ? '∞' : `${b.le}ms`}</span>
+                <div className="h-2.5 flex-1 rounded-sm bg-background">
+                  <div className="h-2.5 rounded-sm bg-mutation" style={{ width: `${(b.count / maxBucket) * 100}%` }} />
+                </div>
+                <span className="w-8 text-[10px] text-muted-foreground">{b.count}</span>
+              </div>
+            ))}
+
+            <SectionLabel>{t('loadTest.statusCodes')}</SectionLabel>
+            <div className="flex flex-wrap gap-1.5">
+              {Object.entries(report.statusCodes).map(([code, n]) => (
+                <span key={code} className={cn('rounded bg-secondary px-2 py-0.5 font-mono text-[11px]', code === '200' ? 'text-success' : 'text-danger')}>{code} × {n}</span>
+              ))}
+            </div>
+
+            {report.invariant.violations.length > 0 && (
+              <>
+                <SectionLabel>{t('loadTest.violations')}</SectionLabel>
+                {report.invariant.violations.map(v => (
+                  <div key={`${v.productId}::${v.discountId}`} className="mb-0.5 font-mono text-[11px] text-danger">
+                    {t('loadTest.violation', { ...v, already: v.alreadyApplied })}
+                  </div>
+                ))}
+              </>
+            )}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
+
+function Field({ label, title, wide, children }) {
+  return (
+    <div className={cn(wide && 'col-span-2')}>
+      <label className="mb-1 block cursor-help text-[11px] text-muted-foreground" title={title}>{label}</label>
+      {children}
+    </div>
+  )
+}
+
+function Stat({ label, value }) {
+  return (
+    <div className="rounded-md bg-secondary p-1.5 text-center">
+      <div className="text-[9px] text-muted-foreground">{label}</div>
+      <div className="text-[13px] font-bold">{value}</div>
+    </div>
+  )
+}
+
+function SectionLabel({ children }) {
+  return <div className="mb-1.5 mt-3 text-[9px] font-bold text-muted-foreground">{children}</div>
+}
+
+function Result({ ok, children }) {
+  return (
+    <div className={cn('mt-3 rounded-md px-3 py-2.5 text-[13px]', ok ? 'bg-success text-success-foreground' : 'bg-destructive text-destructive-foreground')}>
+      {children}
+    </div>
+  )
+}
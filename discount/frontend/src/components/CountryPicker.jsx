@@ -0,0 +1,41 @@
+import { useI18n } from '../hooks/useI18n'
+import { getCountryMeta } from '../lib/countries'
+import { getVatPercent } from '../lib/pricing'
+import { pathFor } from '../lib/router'
+import { cn } from '../lib/utils'
+import Link from './Link'
+import { Card, CardContent, CardHeader, CardTitle } from './ui/card'
+
+/**
+ * Step 1: one link per supported country (so each can be opened or shared as /countries/:country)
+ */
+export default function CountryPicker({ countries, selected }) {
+  const { t } = useI18n()
+  return (
+    <Card className="mb-4 hover:shadow-sm">
+      <CardHeader className="p-4 pb-3">
+        <CardTitle className="text-sm">{t('step1.title')}</CardTitle>
+      </CardHeader>
+      <CardContent className="flex flex-wrap gap-2.5 p-4 pt-0">
+        {countries.map(({ name }) => {
+          const vat = getVatPercent(name)
+          return (
+            <Link
+              key={name}
+              to={pathFor('country', { country: name })}
+              title={vat == null ? t('step1.countryHintNoVat', { country: name }) : t('step1.countryHint', { country: name, vat })}
+              className={cn(
+                'flex flex-1 flex-col items-center rounded-lg border-2 border-transparent bg-secondary p-3 text-secondary-foreground no-underline transition-all hover:bg-accent',
+                selected === name && 'border-primary bg-primary/20 hover:bg-primary/20'
+              )}
+            >
+              <span className="mb-1 text-2xl">{getCountryMeta(name).flag}</span>
+              <span className="text-[13px] font-semibold">{name}</span>
+              <span className="text-[11px] text-muted-foreground">{vat == null ? t('step1.vatUnknown') : t('step1.vat', { vat })}</span>
+            </Link>
+          )
+        })}
+      </CardContent>
+    </Card>
+  )
+}
@@ -0,0 +1,25 @@
+import { useDisplayCurrency } from '../hooks/useDisplayCurrency'
+import { useI18n } from '../hooks/useI18n'
+import { DISPLAY_CURRENCIES, EXCHANGE_RATES } from '../lib/format'
+
+const SELECT = 'h-8 cursor-pointer rounded-full border border-input bg-secondary px-2 text-xs outline-none'
+
+/**
+ * Header dropdown for the display currency; prices keep their own currency and show the conversion next to it
+ */
+export default function CurrencySwitch() {
+  const { displayCurrency, setDisplayCurrency } = useDisplayCurrency()
+  const { t } = useI18n()
+  return (
+    <select
+      className={SELECT}
+      value={displayCurrency}
+      onChange={e => setDisplayCurrency(e.target.value)}
+      title={t('header.currencyHint', EXCHANGE_RATES)}
+    >
+      <option value="">{t('header.localCurrency')}</option>
+      {DISPLAY_CURRENCIES.map(c => <option key={c} value={c}>≈ {c}</option>)}
+    </select>
+  )
+}
+
@@ -0,0 +1,207 @@
+import { useEffect, useRef, useState } from 'react'
+import { useDiscountLibrary } from '../hooks/useDiscountLibrary'
+import { useHealth } from '../hooks/useHealth'
+import { useI18n } from '../hooks/useI18n'
+import { availableDefinitions } from '../lib/discountLibrary'
+import { describeError, errorMessage } from '../lib/errors'
+import { enqueueDiscount, isOfflineError } from '../lib/outbox'
+import { applyDiscount as sendDiscount } from '../lib/productStore'
+import { pathFor } from '../lib/router'
+import { showToast } from '../lib/toast'
+import { cn } from '../lib/utils'
+import { normalizeDiscountId, validateDiscount } from '../lib/validation'
+import DiscountSimulator from './DiscountSimulator'
+import Link from './Link'
+import Placeholder from './Placeholder'
+import { Button } from './ui/button'
+import { Card, CardContent, CardHeader, CardTitle } from './ui/card'
+import { Input } from './ui/input'
+
+// The form remounts per product, so an answer arriving after the user moved on is reported as a toast;
+// retrying from that toast sends the same discount again and reports the same way
+function notify(t, product, discount, outcome) {
+  const params = { code: discount.discountId, product: product.name }
+  if (outcome.data) {
+    showToast({ variant: 'success', title: t('toast.applied', params), description: outcome.data.message })
+    return
+  }
+  const { retryable } = describeError(outcome.error)
+  showToast({
+    variant: 'error',
+    title: t('toast.applyFailed', params),
+    description: errorMessage(t, outcome.error),
+    action: retryable ? { label: t('errors.retry'), onClick: () => resend(t, product, discount) } : null
+  })
+}
+
+function resend(t, product, discount) {
+  sendDiscount(product.id, discount).then(
+    data => notify(t, product, discount, { data }),
+    error => notify(t, product, discount, { error })
+  )
+}
+
+/**
+ * Step 3: apply a discount to the selected product, with a what-if preview
+ * Render with key={product.id} so the form starts empty for each product
+ * The product store shows the discount as pending right away and swaps in the server's product when it answers
+ * While the backend is unreachable (or the request fails on the network) the discount goes to the offline outbox
+ * Fields are checked against the server's rules as they are typed (see lib/validation.js); "required" errors wait
+ * for the first submit. A code the product already has, or one outside the character policy, is flagged before it
+ * is sent without blocking it
+ * Picks come from the discount library: definitions active today and intended for the product's country
+ */
+export default function DiscountForm({ product }) {
+  const [discountCode, setDiscountCode] = useState('')
+  const [discountPercent, setDiscountPercent] = useState('')
+  const [result, setResult] = useState(null)
+  const [sending, setSending] = useState(false)
+  const [submitted, setSubmitted] = useState(false)
+  const mounted = useRef(true)
+  const { t } = useI18n()
+  const { writable } = useHealth()
+  const library = useDiscountLibrary()
+  const picks = product ? availableDefinitions(library, { country: product.country }) : []
+
+  useEffect(() => {
+    mounted.current = true
+    return () => { mounted.current = false }
+  }, [])
+
+  const check = validateDiscount({ discountId: discountCode, percent: discountPercent }, product)
+  const fieldError = (field, value) => {
+    const problem = check.errors[field]
+    return problem && (submitted || value !== '') ? t(problem.key, problem.params) : null
+  }
+  const codeError = fieldError('discountId', discountCode)
+  const percentError = fieldError('percent', discountPercent)
+
+  const applyDiscount = async () => {
+    setSubmitted(true)
+    if (!check.valid) return
+    const discount = { discountId: normalizeDiscountId(discountCode), percent: Number(discountPercent) }
+    const clear = () => {
+      setDiscountCode('')
+      setDiscountPercent('')
+      setSubmitted(false)
+    }
+    const queue = async () => {
+      await enqueueDiscount(product, discount)
+      setResult({ ok: true, queued: true, msg: t('outbox.queuedMessage', discount) })
+      clear()
+    }
+    if (!writable) return queue()
+    setSending(true)
+    try {
+      const data = await sendDiscount(product.id, discount)
+      if (!mounted.current) return notify(t, product, discount, { data })
+      setResult({ ok: true, msg: data.message })
+      clear()
+    } catch (e) {
+      if (isOfflineError(e)) return queue()
+      if (!mounted.current) return notify(t, product, discount, { error: e })
+      setResult({ ok: false, msg: errorMessage(t, e) || t('step3.failed'), detail: e.message })
+    } finally {
+      if (mounted.current) setSending(false)
+    }
+  }
+
+  return (
+    <Card className="mb-4 hover:shadow-sm">
+      <CardHeader className="p-4 pb-3">
+        <CardTitle className="text-sm">{t('step3.title')}</CardTitle>
+      </CardHeader>
+      <CardContent className="p-4 pt-0">
+        {!product ? (
+          <Placeholder>{t('step3.selectProductFirst')}</Placeholder>
+        ) : (
+          <>
+            <div className="mb-3.5 rounded-md bg-secondary p-2.5 text-[13px] text-muted-foreground" title={t('step3.applyingToHint')}>
+              {t('step3.applyingTo')} <strong className="text-foreground">{product.name}</strong> <span className="font-mono">({product.id})</span>
+            </div>
+
+            <div className="mb-3 grid grid-cols-[1fr_120px_auto] items-end gap-x-2.5">
+              <div>
+                <Label title={t('step3.codeHint')}>{t('step3.code')}</Label>
+                <Input
+                  className={cn('h-9 bg-secondary', codeError && 'border-danger')}
+                  placeholder={t('step3.codePlaceholder')}
+                  value={discountCode}
+                  onChange={e => setDiscountCode(e.target.value.toUpperCase())}
+                  title={t('step3.codeInputHint')}
+                  aria-invalid={Boolean(codeError)}
+                />
+              </div>
+
+              <div>
+                <Label title={t('step3.percentHint')}>{t('step3.percent')}</Label>
+                <div className="relative">
+                  <Input
+                    className={cn('h-9 bg-secondary pr-7', percentError && 'border-danger')}
+                    type="number"
+                    min="0.01"
+                    max="100"
+                    step="0.01"
+                    placeholder="15"
+                    value={discountPercent}
+                    onChange={e => setDiscountPercent(e.target.value)}
+                    title={t('step3.percentInputHint')}
+                    aria-invalid={Boolean(percentError)}
+                  />
+                  <span className="absolute right-2.5 top-1/2 -translate-y-1/2 text-[13px] text-muted-foreground">%</span>
+                </div>
+              </div>
+
+              <Button className="h-9 px-5 font-semibold" onClick={applyDiscount} disabled={sending} title={t(writable ? 'step3.applyHint' : 'outbox.queueHint')}>
+                {sending ? t('step3.applying') : t(writable ? 'step3.apply' : 'outbox.queue')}
+              </Button>
+
+              <FieldError>{codeError}</FieldError>
+              <FieldError>{percentError}</FieldError>
+            </div>
+
+            {!sending && check.warnings.map(warning => (
+              <div key={warning.key} className="mb-3 rounded-md bg-warning/15 px-3 py-2 text-[12px] text-warning" role="status">
+                {t(warning.key, warning.params)}
+              </div>
+            ))}
+
+            <div className="flex flex-wrap items-center gap-2">
+              <span className="cursor-help text-[11px] text-muted-foreground" title={t('step3.libraryHint')}>{t('step3.library')}</span>
+              {picks.map(d => (
+                <Button
+                  key={d.id}
+                  variant="secondary"
+                  size="sm"
+                  className="h-auto bg-accent px-2 py-1 text-[11px] font-normal"
+                  onClick={() => { setDiscountCode(d.code); setDiscountPercent(String(d.percent)) }}
+                  title={t('step3.libraryPick', { code: d.code, percent: d.percent, name: d.name })}
+                >
+                  {d.code} ({d.percent}%)
+                </Button>
+              ))}
+              {picks.length === 0 && <span className="text-[11px] text-muted-foreground">{t('step3.libraryEmpty')}</span>}
+              <Link to={pathFor('library')} className="text-[11px] text-primary">{t('step3.manageLibrary')}</Link>
+            </div>
+
+            <DiscountSimulator product={product} discountCode={discountCode} discountPercent={discountPercent} />
+
+            {result && (
+              <div className={cn('mt-3 rounded-md px-3 py-2.5 text-[13px]', result.queued ? 'bg-warning text-warning-foreground' : result.ok ? 'bg-success text-success-foreground' : 'bg-destructive text-destructive-foreground')} title={result.detail}>
+                {result.msg}
+              </div>
+            )}
+          </>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
+
+function FieldError({ children }) {
+  return children ? <p className="mt-1 text-[11px] text-danger" role="alert">{children}</p> : <span />
+}
+
+function Label({ title, children }) {
+  return <label className="mb-1 block cursor-help text-[11px] text-muted-foreground" title={title}>{children}</label>
+}
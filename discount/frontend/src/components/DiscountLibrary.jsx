@@ -0,0 +1,217 @@
+import { useState } from 'react'
+import { useCountries } from '../hooks/useCountries'
+import { useDiscountLibrary } from '../hooks/useDiscountLibrary'
+import { useI18n } from '../hooks/useI18n'
+import { getCountryMeta } from '../lib/countries'
+import { definitionStatus, parseTags, removeDefinition, restoreDefinition, saveDefinition, validateDefinition } from '../lib/discountLibrary'
+import { showToast } from '../lib/toast'
+import { cn } from '../lib/utils'
+import { normalizeDiscountId } from '../lib/validation'
+import { Badge } from './ui/badge'
+import { Button } from './ui/button'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from './ui/card'
+import { Input } from './ui/input'
+
+const CONTROL = 'h-9 bg-secondary text-[13px]'
+
+const STATUS_BADGE = {
+  active: 'success',
+  scheduled: 'secondary',
+  expired: 'warning'
+}
+
+const EMPTY_DRAFT = { code: '', percent: '', name: '', description: '', tags: '', countries: [], validFrom: '', validTo: '' }
+
+// Form fields are strings; the stored definition has numbers, arrays and nulls
+const toDraft = (d) => ({ ...d, percent: String(d.percent), tags: d.tags.join(', '), validFrom: d.validFrom ?? '', validTo: d.validTo ?? '' })
+const fromDraft = (draft) => ({
+  ...draft,
+  code: normalizeDiscountId(draft.code),
+  tags: parseTags(draft.tags),
+  validFrom: draft.validFrom || null,
+  validTo: draft.validTo || null
+})
+
+/**
+ * /library: create, edit and remove reusable discount definitions (lib/discountLibrary.js)
+ * The Step 3 form and bulk apply offer the active ones as picks
+ */
+export default function DiscountLibrary() {
+  const definitions = useDiscountLibrary()
+  const [editing, setEditing] = useState(null)
+  const [query, setQuery] = useState('')
+  const [tag, setTag] = useState(null)
+  const { t } = useI18n()
+
+  const tags = [...new Set(definitions.flatMap(d => d.tags))].sort()
+  const q = query.trim().toLowerCase()
+  const shown = definitions.filter(d =>
+    (!tag || d.tags.includes(tag)) &&
+    (!q || [d.code, d.name, d.description].some(text => text.toLowerCase().includes(q)))
+  )
+
+  const remove = (definition) => {
+    const index = definitions.indexOf(definition)
+    removeDefinition(definition.id)
+    if (editing?.id === definition.id) setEditing(null)
+    showToast({
+      variant: 'info',
+      title: t('library.removed', { code: definition.code }),
+      action: { label: t('library.undo'), onClick: () => restoreDefinition(definition, index) },
+      dedupeKey: `library-remove-${definition.id}`
+    })
+  }
+
+  return (
+    <Card className="mb-4 hover:shadow-sm">
+      <CardHeader className="space-y-1 p-4 pb-3">
+        <CardTitle className="text-sm">{t('library.title')}</CardTitle>
+        <CardDescription className="text-[11px]">{t('library.description')}</CardDescription>
+      </CardHeader>
+      <CardContent className="p-4 pt-0">
+        {editing ? (
+          <DefinitionEditor key={editing.id ?? 'new'} definition={editing} onClose={() => setEditing(null)} />
+        ) : (
+          <Button className="mb-3 h-8 text-xs" onClick={() => setEditing(EMPTY_DRAFT)}>{t('library.new')}</Button>
+        )}
+
+        <div className="mb-3 flex flex-wrap items-center gap-2">
+          <Input className={cn(CONTROL, 'h-8 max-w-xs text-xs')} type="search" placeholder={t('library.search')} value={query} onChange={e => setQuery(e.target.value)} />
+          {tags.map(name => (
+            <button
+              key={name}
+              className={cn('rounded-full border px-2 py-0.5 text-[11px]', tag === name ? 'border-primary text-primary' : 'text-muted-foreground')}
+              onClick={() => setTag(tag === name ? null : name)}
+              aria-pressed={tag === name}
+            >
+              #{name}
+            </button>
+          ))}
+        </div>
+
+        {shown.length === 0 ? (
+          <div className="py-6 text-center text-xs text-muted-foreground">
+            {t(definitions.length ? 'library.noMatches' : 'library.empty')}
+          </div>
+        ) : (
+          <div className="flex flex-col gap-1.5">
+            {shown.map(d => (
+              <DefinitionRow key={d.id} definition={d} onEdit={() => setEditing(toDraft(d))} onRemove={() => remove(d)} />
+            ))}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
+
+function DefinitionRow({ definition: d, onEdit, onRemove }) {
+  const { t } = useI18n()
+  const status = definitionStatus(d)
+  return (
+    <div className="flex items-start gap-2.5 rounded-md bg-secondary px-3 py-2 text-xs">
+      <div className="min-w-0 flex-1">
+        <div className="flex flex-wrap items-center gap-1.5">
+          <strong className="font-mono">{d.code}</strong>
+          <span>{d.percent}%</span>
+          <span className="text-muted-foreground">• {d.name}</span>
+          <Badge variant={STATUS_BADGE[status]} className="px-1.5 py-0 text-[10px]">{t(`library.status.${status}`)}</Badge>
+        </div>
+        {d.description && <div className="mt-0.5 text-[11px] text-muted-foreground">{d.description}</div>}
+        <div className="mt-1 flex flex-wrap items-center gap-x-3 gap-y-1 text-[11px] text-muted-foreground">
+          <span title={t('library.countriesHint')}>
+            {d.countries.length ? d.countries.map(c => `${getCountryMeta(c).flag} ${c}`).join(', ') : t('library.allCountries')}
+          </span>
+          {(d.validFrom || d.validTo) && (
+            <span>{t('library.window', { from: d.validFrom ?? '…', to: d.validTo ?? '…' })}</span>
+          )}
+          {d.tags.map(name => <span key={name}>#{name}</span>)}
+        </div>
+      </div>
+      <Button variant="secondary" size="sm" className="h-7 px-2 text-[11px]" onClick={onEdit}>{t('library.edit')}</Button>
+      <Button variant="secondary" size="sm" className="h-7 px-2 text-[11px]" onClick={onRemove}>{t('library.remove')}</Button>
+    </div>
+  )
+}
+
+// Errors show after the first save attempt so a new, empty definition doesn't start out red
+function DefinitionEditor({ definition, onClose }) {
+  const [draft, setDraft] = useState(definition)
+  const [submitted, setSubmitted] = useState(false)
+  const countries = useCountries()
+  const { t } = useI18n()
+
+  const errors = validateDefinition(fromDraft(draft))
+  const error = (field) => submitted && errors[field] ? t(errors[field].key, errors[field].params) : null
+  const set = (key, transform = v => v) => (e) => setDraft(prev => ({ ...prev, [key]: transform(e.target.value) }))
+  const toggleCountry = (name) => setDraft(prev => ({
+    ...prev,
+    countries: prev.countries.includes(name) ? prev.countries.filter(c => c !== name) : [...prev.countries, name]
+  }))
+
+  const save = () => {
+    setSubmitted(true)
+    if (Object.keys(errors).length > 0) return
+    saveDefinition(fromDraft(draft))
+    onClose()
+  }
+
+  return (
+    <div className="mb-3 rounded-md border p-3">
+      <div className="grid grid-cols-[1fr_120px] gap-2.5">
+        <Field label={t('library.fields.code')} error={error('code')}>
+          <Input className={CONTROL} value={draft.code} onChange={set('code', v => v.toUpperCase())} placeholder={t('step3.codePlaceholder')} />
+        </Field>
+        <Field label={t('library.fields.percent')} error={error('percent')}>
+          <Input className={CONTROL} type="number" min="0.01" max="100" step="0.01" value={draft.percent} onChange={set('percent')} />
+        </Field>
+      </div>
+      <Field label={t('library.fields.name')} error={error('name')}>
+        <Input className={CONTROL} value={draft.name} onChange={set('name')} />
+      </Field>
+      <Field label={t('library.fields.description')}>
+        <textarea
+          className="min-h-[56px] w-full rounded-md border border-input bg-secondary px-3 py-2 text-[13px]"
+          value={draft.description}
+          onChange={set('description')}
+        />
+      </Field>
+      <Field label={t('library.fields.tags')}>
+        <Input className={CONTROL} value={draft.tags} onChange={set('tags')} placeholder={t('library.fields.tagsPlaceholder')} />
+      </Field>
+      <Field label={t('library.fields.countries')}>
+        <div className="flex flex-wrap gap-3 text-[13px]">
+          {countries.map(c => (
+            <label key={c.name} className="flex cursor-pointer items-center gap-1.5">
+              <input type="checkbox" checked={draft.countries.includes(c.name)} onChange={() => toggleCountry(c.name)} />
+              {getCountryMeta(c.name).flag} {c.name}
+            </label>
+          ))}
+        </div>
+        <div className="mt-1 text-[11px] text-muted-foreground">{t('library.fields.countriesHint')}</div>
+      </Field>
+      <div className="grid grid-cols-2 gap-2.5">
+        <Field label={t('library.fields.validFrom')}>
+          <Input className={CONTROL} type="date" value={draft.validFrom} onChange={set('validFrom')} />
+        </Field>
+        <Field label={t('library.fields.validTo')} error={error('validTo')}>
+          <Input className={CONTROL} type="date" value={draft.validTo} onChange={set('validTo')} />
+        </Field>
+      </div>
+      <div className="flex gap-2">
+        <Button className="h-8 text-xs" onClick={save}>{t('library.save')}</Button>
+        <Button variant="secondary" className="h-8 text-xs" onClick={onClose}>{t('library.cancel')}</Button>
+      </div>
+    </div>
+  )
+}
+
+function Field({ label, error, children }) {
+  return (
+    <div className="mb-2.5">
+      <label className="mb-1 block text-[11px] text-muted-foreground">{label}</label>
+      {children}
+      {error && <p className="mt-1 text-[11px] text-danger" role="alert">{error}</p>}
+    </div>
+  )
+}
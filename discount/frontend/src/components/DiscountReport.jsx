@@ -0,0 +1,211 @@
+import { Fragment, useEffect, useState } from 'react'
+import { useI18n } from '../hooks/useI18n'
+import { loadCatalog } from '../lib/catalog'
+import { getCountryMeta } from '../lib/countries'
+import { buildDiscountReport, reportToCsv } from '../lib/discountReport'
+import { downloadFile, fileTimestamp } from '../lib/download'
+import { formatMoney } from '../lib/format'
+import { pathFor } from '../lib/router'
+import BarChart from './BarChart'
+import Link from './Link'
+import Placeholder from './Placeholder'
+import RequestError from './RequestError'
+import { Button } from './ui/button'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from './ui/card'
+
+// Codes shown in the savings chart; the table below lists all of them
+const CHART_CODES = 10
+
+// One colour per country, in catalog order
+const COUNTRY_COLORS = [1, 2, 3, 4, 5, 6].map(n => `hsl(var(--chart-${n}))`)
+
+/**
+ * /report: discount usage across every country, pivoted by discountId (lib/discountReport.js)
+ * Fetches the full catalog when opened; Refresh fetches it again
+ */
+export default function DiscountReport() {
+  const [catalog, setCatalog] = useState(null)
+  const [status, setStatus] = useState('loading')
+  const [error, setError] = useState(null)
+  const [expanded, setExpanded] = useState(null)
+  const { t, language } = useI18n()
+
+  const load = async () => {
+    setStatus('loading')
+    setError(null)
+    try {
+      setCatalog(await loadCatalog({ quiet: true }))
+      setStatus('ready')
+    } catch (e) {
+      setError(e)
+      setStatus('error')
+    }
+  }
+
+  useEffect(() => {
+    load()
+  }, [])
+
+  const report = catalog && buildDiscountReport(catalog)
+  const eur = (amount) => formatMoney(amount, 'EUR', language)
+  const colorOf = (country) => COUNTRY_COLORS[catalog.findIndex(c => c.country === country) % COUNTRY_COLORS.length]
+
+  const exportCsv = () => downloadFile(`discount-report-${fileTimestamp()}.csv`, reportToCsv(report), 'text/csv')
+
+  return (
+    <Card className="mb-4 hover:shadow-sm">
+      <CardHeader className="space-y-1 p-4 pb-3">
+        <div className="flex items-center justify-between gap-2">
+          <CardTitle className="text-sm">{t('report.title')}</CardTitle>
+          <div className="flex gap-2">
+            <Button variant="secondary" size="sm" className="h-7 px-2.5 text-[11px]" onClick={load} disabled={status === 'loading'}>
+              {status === 'loading' ? t('report.loading') : t('report.refresh')}
+            </Button>
+            <Button size="sm" className="h-7 px-2.5 text-[11px]" onClick={exportCsv} disabled={!report} title={t('report.exportHint')}>
+              {t('report.export')}
+            </Button>
+          </div>
+        </div>
+        <CardDescription className="text-[11px]">{t('report.description')}</CardDescription>
+      </CardHeader>
+      <CardContent className="p-4 pt-0">
+        {error && <RequestError className="mb-3" title={t('report.loadFailed')} error={error} onRetry={load} />}
+        {!report ? (
+          status === 'loading' && <Placeholder>{t('report.loading')}</Placeholder>
+        ) : (
+          <>
+            <div className="mb-4 grid grid-cols-4 gap-2.5">
+              <Stat label={t('report.totals.products')} value={report.totals.products} />
+              <Stat label={t('report.totals.discounted')} value={report.totals.discounted} />
+              <Stat label={t('report.totals.codes')} value={report.totals.codes} />
+              <Stat label={t('report.totals.savings')} value={eur(report.totals.savingsEur)} />
+            </div>
+
+            <Section title={t('report.savingsChart', { count: Math.min(CHART_CODES, report.codes.length) })}>
+              {report.codes.length === 0 ? (
+                <Empty>{t('report.noDiscounts')}</Empty>
+              ) : (
+                <>
+                  <BarChart
+                    rows={report.codes.slice(0, CHART_CODES).map(code => ({
+                      key: code.discountId,
+                      label: code.discountId,
+                      value: eur(code.savingsEur),
+                      segments: Object.entries(code.byCountry).map(([country, entry]) => ({
+                        value: entry.savingsEur,
+                        color: colorOf(country),
+                        title: `${country}: ${eur(entry.savingsEur)}`
+                      }))
+                    }))}
+                  />
+                  <div className="mt-2 flex flex-wrap gap-3 text-[11px] text-muted-foreground">
+                    {catalog.map(({ country }) => (
+                      <span key={country} className="flex items-center gap-1">
+                        <span className="inline-block h-2 w-2 rounded-sm" style={{ background: colorOf(country) }} />
+                        {country}
+                      </span>
+                    ))}
+                  </div>
+                </>
+              )}
+            </Section>
+
+            <Section title={t('report.averageChart')}>
+              <BarChart
+                rows={report.countries.map(c => ({
+                  key: c.country,
+                  label: `${getCountryMeta(c.country).flag} ${c.country}`,
+                  value: t('report.averageValue', { percent: c.averageDiscountPercent.toFixed(1), discounted: c.discountedCount, total: c.productCount }),
+                  segments: [{ value: c.averageDiscountPercent, color: colorOf(c.country), title: `${c.averageDiscountPercent.toFixed(2)}%` }]
+                }))}
+              />
+            </Section>
+
+            <Section title={t('report.byCode')}>
+              {report.codes.length === 0 ? (
+                <Empty>{t('report.noDiscounts')}</Empty>
+              ) : (
+                <table className="w-full text-[11px]">
+                  <thead className="text-left text-muted-foreground">
+                    <tr>
+                      <th className="py-1 font-normal">{t('report.columns.code')}</th>
+                      <th className="py-1 font-normal">{t('report.columns.products')}</th>
+                      {catalog.map(({ country }) => <th key={country} className="py-1 text-right font-normal">{country}</th>)}
+                      <th className="py-1 text-right font-normal">{t('report.columns.total')}</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {report.codes.map(code => (
+                      <Fragment key={code.discountId}>
+                        <tr className="cursor-pointer border-t hover:bg-secondary" onClick={() => setExpanded(expanded === code.discountId ? null : code.discountId)} aria-expanded={expanded === code.discountId}>
+                          <td className="py-1.5 font-mono">{expanded === code.discountId ? '▾' : '▸'} {code.discountId}</td>
+                          <td className="py-1.5">{code.productCount}</td>
+                          {catalog.map(({ country }) => (
+                            <td key={country} className="py-1.5 text-right tabular-nums">
+                              {code.byCountry[country] ? eur(code.byCountry[country].savingsEur) : '–'}
+                            </td>
+                          ))}
+                          <td className="py-1.5 text-right font-semibold tabular-nums">{eur(code.savingsEur)}</td>
+                        </tr>
+                        {expanded === code.discountId && code.products.map(p => (
+                          <tr key={p.id} className="text-muted-foreground">
+                            <td className="py-0.5 pl-4" colSpan={2}>
+                              <Link to={pathFor('product', { id: p.id })} className="text-primary">{p.name}</Link>
+                              {' '}<span className="font-mono">({p.id})</span> • {p.percent}%
+                            </td>
+                            {catalog.map(({ country }) => (
+                              <td key={country} className="py-0.5 text-right tabular-nums">
+                                {country === p.country ? formatMoney(p.savings, getCountryMeta(country).currency, language) : ''}
+                              </td>
+                            ))}
+                            <td className="py-0.5 text-right tabular-nums">{eur(p.savingsEur)}</td>
+                          </tr>
+                        ))}
+                      </Fragment>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </Section>
+
+            <Section title={t('report.undiscounted', { count: report.undiscounted.length })}>
+              {report.undiscounted.length === 0 ? (
+                <Empty>{t('report.allDiscounted')}</Empty>
+              ) : (
+                <div className="flex flex-wrap gap-1.5">
+                  {report.undiscounted.map(p => (
+                    <Link key={p.id} to={pathFor('product', { id: p.id })} className="rounded-md bg-secondary px-2 py-1 text-[11px] text-foreground no-underline hover:bg-accent" title={p.name}>
+                      {getCountryMeta(p.country).flag} <span className="font-mono">{p.id}</span>
+                    </Link>
+                  ))}
+                </div>
+              )}
+            </Section>
+          </>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
+
+function Stat({ label, value }) {
+  return (
+    <div className="rounded-md bg-secondary px-3 py-2">
+      <div className="text-[11px] text-muted-foreground">{label}</div>
+      <div className="text-sm font-semibold tabular-nums">{value}</div>
+    </div>
+  )
+}
+
+function Section({ title, children }) {
+  return (
+    <section className="mb-5">
+      <h3 className="mb-2 text-xs font-semibold">{title}</h3>
+      {children}
+    </section>
+  )
+}
+
+function Empty({ children }) {
+  return <div className="py-3 text-center text-[11px] text-muted-foreground">{children}</div>
+}
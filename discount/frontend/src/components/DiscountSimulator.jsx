@@ -0,0 +1,108 @@
+import { useState } from 'react'
+import { useDisplayCurrency } from '../hooks/useDisplayCurrency'
+import { useI18n } from '../hooks/useI18n'
+import { findVatRate, simulateDiscounts } from '../lib/pricing'
+import { cn } from '../lib/utils'
+import { Button } from './ui/button'
+import { Input } from './ui/input'
+
+const CONTROL = 'h-8 bg-card px-2.5 text-xs'
+
+// "15, 10" → [{percent: 15}, {percent: 10}]; blanks and non-numbers are dropped
+const parsePercents = (text) => text
+  .split(/[,+\s]+/)
+  .map(v => parseFloat(v))
+  .filter(n => !Number.isNaN(n))
+  .map(percent => ({ percent }))
+
+let nextScenarioId = 1
+
+/**
+ * What-if preview for Step 3: nothing here calls the API
+ * The "Form" column stacks the form's discount plus extra percentages on the selected product;
+ * scenario columns compare independent discount stacks side by side
+ * Without a known VAT rate for the product's country there is nothing to preview
+ */
+export default function DiscountSimulator({ product, discountCode, discountPercent }) {
+  const [extras, setExtras] = useState('')
+  const [scenarios, setScenarios] = useState([])
+  const { formatPrice } = useDisplayCurrency()
+  const { t } = useI18n()
+  const money = (amount) => formatPrice(amount, product.country)
+
+  const formDiscounts = [
+    ...(discountPercent ? [{ discountId: discountCode, percent: parseFloat(discountPercent) }] : []),
+    ...parsePercents(extras)
+  ]
+
+  const columns = [
+    { id: 'form', label: discountCode ? t('simulator.formWithCode', { code: discountCode }) : t('simulator.form'), discounts: formDiscounts },
+    ...scenarios.map(s => ({ ...s, label: t('simulator.scenario', { number: s.number }), discounts: parsePercents(s.input) }))
+  ]
+
+  const addScenario = () => setScenarios(prev => [...prev, { id: nextScenarioId, number: nextScenarioId++, input: '' }])
+  const updateScenario = (id, input) => setScenarios(prev => prev.map(s => s.id === id ? { ...s, input } : s))
+  const removeScenario = (id) => setScenarios(prev => prev.filter(s => s.id !== id))
+
+  if (findVatRate(product.country) == null) {
+    return <div className="mt-3 rounded-md bg-secondary p-3 text-[11px] text-muted-foreground">{t('errors.vatUnknown')}</div>
+  }
+
+  return (
+    <div className="mt-3 rounded-md bg-secondary p-3">
+      <div className="mb-2 flex items-center justify-between">
+        <span className="cursor-help text-xs font-semibold" title={t('simulator.titleHint')}>{t('simulator.title')}</span>
+        <Button variant="ghost" size="sm" className="h-auto bg-accent px-2 py-1 text-[11px] font-normal" onClick={addScenario} title={t('simulator.addScenarioHint')}>{t('simulator.addScenario')}</Button>
+      </div>
+
+      <div className="mb-2.5">
+        <label className="mb-1 block cursor-help text-[11px] text-muted-foreground" title={t('simulator.extrasHint')}>
+          {t('simulator.extras')}
+        </label>
+        <Input className={CONTROL} value={extras} onChange={e => setExtras(e.target.value)} placeholder={t('simulator.extrasPlaceholder')} />
+      </div>
+
+      <div className="flex gap-2 overflow-x-auto">
+        {columns.map(col => {
+          const sim = simulateDiscounts(product, col.discounts)
+          return (
+            <div key={col.id} className="min-w-[150px] flex-1 rounded-md bg-card px-2.5 py-2">
+              <div className="mb-1.5 flex items-center justify-between">
+                <span className="text-[11px] font-semibold">{col.label}</span>
+                {col.id !== 'form' && (
+                  <button className="text-[11px] text-muted-foreground hover:text-foreground" onClick={() => removeScenario(col.id)} title={t('simulator.removeScenario')}>✕</button>
+                )}
+              </div>
+              {col.id !== 'form' && (
+                <Input
+                  className={cn(CONTROL, 'mb-2')}
+                  value={col.input}
+                  onChange={e => updateScenario(col.id, e.target.value)}
+                  placeholder={t('simulator.scenarioPlaceholder')}
+                  title={t('simulator.scenarioHint')}
+                />
+              )}
+              <Row label={t('simulator.finalPrice')} value={money(sim.finalPrice)} highlight />
+              <Row label={t('simulator.now')} value={money(sim.currentPrice)} />
+              <Row label={t('simulator.savings')} value={money(sim.savings)} />
+              <Row label={t('simulator.newDiscounts')} value={`${sim.addedDiscountPercent.toFixed(2)}%`} />
+              <Row label={t('simulator.totalDiscount')} value={`${sim.totalDiscountPercent.toFixed(2)}%`} />
+              {sim.ignored.length > 0 && (
+                <div className="mt-1.5 text-[10px] text-warning">{t('simulator.ignored', { codes: sim.ignored.map(d => d.discountId).join(', ') })}</div>
+              )}
+            </div>
+          )
+        })}
+      </div>
+    </div>
+  )
+}
+
+function Row({ label, value, highlight }) {
+  return (
+    <div className="flex justify-between py-0.5 text-[11px] text-muted-foreground">
+      <span>{label}</span>
+      <span className={cn('font-mono', highlight ? 'font-bold text-success' : 'text-foreground')}>{value}</span>
+    </div>
+  )
+}
@@ -0,0 +1,45 @@
+import { Component } from 'react'
+import { useI18n } from '../hooks/useI18n'
+import { cn } from '../lib/utils'
+import { Button } from './ui/button'
+
+/**
+ * Catches render errors below it and shows a fallback instead of a blank page
+ * With `section` set the fallback is a compact card, so one broken panel doesn't take the workspace down
+ * (React only offers this as a class component)
+ */
+export default class ErrorBoundary extends Component {
+  constructor(props) {
+    super(props)
+    this.state = { error: null }
+  }
+
+  static getDerivedStateFromError(error) {
+    return { error }
+  }
+
+  componentDidCatch(error, info) {
+    console.error(error, info.componentStack)
+  }
+
+  render() {
+    if (!this.state.error) return this.props.children
+    return <ErrorFallback error={this.state.error} section={this.props.section} onReset={() => this.setState({ error: null })} />
+  }
+}
+
+function ErrorFallback({ error, section, onReset }) {
+  const { t } = useI18n()
+  return (
+    <div className={cn('rounded-lg bg-destructive text-destructive-foreground', section ? 'mb-4 p-4' : 'm-6 p-6')} role="alert">
+      <div className="text-sm font-semibold">{t(section ? 'errors.sectionCrashed' : 'errors.appCrashed')}</div>
+      <pre className="mt-2 max-h-32 overflow-auto whitespace-pre-wrap font-mono text-[11px] opacity-80">{error.message}</pre>
+      <div className="mt-3 flex gap-2">
+        <Button variant="secondary" size="sm" className="h-7 px-3 text-xs" onClick={onReset}>{t('errors.tryAgain')}</Button>
+        {!section && (
+          <Button variant="secondary" size="sm" className="h-7 px-3 text-xs" onClick={() => window.location.reload()}>{t('errors.reload')}</Button>
+        )}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,60 @@
+import { useState } from 'react'
+import { useI18n } from '../hooks/useI18n'
+import { useProducts } from '../hooks/useProducts'
+import { loadCatalog } from '../lib/catalog'
+import { catalogToCsv, catalogToJson } from '../lib/catalogExport'
+import { downloadFile, fileTimestamp } from '../lib/download'
+import { errorMessage } from '../lib/errors'
+import PriceList from './PriceList'
+import { Button } from './ui/button'
+
+const MIME = { csv: 'text/csv', json: 'application/json' }
+
+const SMALL_BUTTON = 'h-auto bg-accent px-2 py-1 text-[11px] font-normal'
+
+/**
+ * Export buttons for the product list: current country as CSV/JSON, all countries in one file, printable price list
+ * Exports use the products as the server last returned them, so discounts still being sent are left out
+ */
+export default function ExportBar({ country }) {
+  const { confirmed: products } = useProducts(country)
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState(null)
+  const [printing, setPrinting] = useState(false)
+  const { t } = useI18n()
+
+  const save = (format, list, countries, label) => {
+    const content = format === 'csv' ? catalogToCsv(list) : catalogToJson(list, countries)
+    downloadFile(`products-${label}-${fileTimestamp()}.${format}`, content, MIME[format])
+  }
+
+  const exportAll = async (format) => {
+    setBusy(true)
+    setError(null)
+    try {
+      const catalog = await loadCatalog({ quiet: true })
+      save(format, catalog.flatMap(c => c.products), catalog.map(c => c.country), 'all-countries')
+    } catch (e) {
+      setError(e)
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const hasProducts = products.length > 0
+
+  return (
+    <div className="mb-3 flex flex-wrap items-center gap-1.5">
+      <span className="text-[11px] text-muted-foreground">{t('export.label')}</span>
+      <Button variant="secondary" size="sm" className={SMALL_BUTTON} disabled={!hasProducts} onClick={() => save('csv', products, [country], country.toLowerCase())} title={t('export.countryHint', { country, format: 'CSV' })}>CSV</Button>
+      <Button variant="secondary" size="sm" className={SMALL_BUTTON} disabled={!hasProducts} onClick={() => save('json', products, [country], country.toLowerCase())} title={t('export.countryHint', { country, format: 'JSON' })}>JSON</Button>
+      <Button variant="secondary" size="sm" className={SMALL_BUTTON} disabled={!hasProducts} onClick={() => setPrinting(true)} title={t('export.priceListHint')}>{t('export.priceList')}</Button>
+      <span className="mx-1 h-4 w-px bg-accent" />
+      <Button variant="secondary" size="sm" className={SMALL_BUTTON} disabled={busy} onClick={() => exportAll('csv')} title={t('export.allCountriesHint', { format: 'CSV' })}>{t('export.allCountries', { format: 'CSV' })}</Button>
+      <Button variant="secondary" size="sm" className={SMALL_BUTTON} disabled={busy} onClick={() => exportAll('json')} title={t('export.allCountriesHint', { format: 'JSON' })}>{t('export.allCountries', { format: 'JSON' })}</Button>
+      {error && <span className="text-[11px] text-danger" title={error.message}>{errorMessage(t, error)}</span>}
+
+      {printing && <PriceList country={country} products={products} onClose={() => setPrinting(false)} />}
+    </div>
+  )
+}
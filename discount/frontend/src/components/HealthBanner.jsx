@@ -0,0 +1,35 @@
+import { useEffect, useState } from 'react'
+import { useHealth } from '../hooks/useHealth'
+import { useI18n } from '../hooks/useI18n'
+import { Button } from './ui/button'
+
+/**
+ * Shown under the header while changes are disabled because the backend or its database is unreachable
+ */
+export default function HealthBanner() {
+  const health = useHealth()
+  const { t } = useI18n()
+  const [now, setNow] = useState(Date.now())
+
+  useEffect(() => {
+    if (health.writable) return
+    const id = setInterval(() => setNow(Date.now()), 1000)
+    return () => clearInterval(id)
+  }, [health.writable])
+
+  if (health.writable) return null
+
+  const seconds = health.nextCheck ? Math.max(0, Math.ceil((health.nextCheck - now) / 1000)) : null
+
+  return (
+    <div role="alert" className="flex shrink-0 items-center gap-3 bg-destructive px-5 py-2 text-[13px] text-destructive-foreground">
+      <span className="flex-1">
+        {t(health.status === 'down' ? 'health.bannerDown' : 'health.bannerDegraded')}
+        {seconds != null && <span className="ml-2 opacity-80">{t('health.nextCheckIn', { seconds })}</span>}
+      </span>
+      <Button variant="secondary" size="sm" className="h-7 px-3 text-xs" onClick={health.checkNow}>
+        {t('health.retryNow')}
+      </Button>
+    </div>
+  )
+}
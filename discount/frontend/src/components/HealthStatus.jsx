@@ -0,0 +1,48 @@
+import { useHealth } from '../hooks/useHealth'
+import { useI18n } from '../hooks/useI18n'
+import { HISTORY_SIZE } from '../lib/health'
+import { cn } from '../lib/utils'
+import Sparkline from './Sparkline'
+import { Badge } from './ui/badge'
+
+const BADGE = {
+  unknown: { variant: 'secondary', label: 'header.checking' },
+  up: { variant: 'success', label: 'header.online' },
+  degraded: { variant: 'warning', label: 'header.degraded' },
+  down: { variant: 'destructive', label: 'header.offline' }
+}
+
+/**
+ * Header status: API/database badge, latency sparkline and the details of the last check in the tooltip
+ * Clicking checks again immediately
+ */
+export default function HealthStatus() {
+  const health = useHealth()
+  const { t, language } = useI18n()
+  const badge = BADGE[health.status]
+
+  const details = [
+    t('health.api', { state: health.status === 'unknown' ? '…' : health.api ? t('health.reachable') : t('health.unreachable', { error: health.error }) }),
+    t('health.db', { state: !health.db ? '…' : health.db.connected ? t('health.connected', { type: health.db.type }) : t('health.disconnected') }),
+    t('health.lastCheck', { time: health.lastCheck ? new Date(health.lastCheck).toLocaleTimeString(language) : t('health.never') }),
+    t('health.clickToCheck')
+  ].join('\n')
+
+  return (
+    <button type="button" className="flex cursor-pointer items-center gap-2 rounded-full" onClick={health.checkNow} title={details}>
+      {health.history.length > 0 && (
+        <span className="flex items-center gap-1.5 text-[11px] text-muted-foreground">
+          <Sparkline
+            samples={health.history}
+            size={HISTORY_SIZE}
+            className={health.status === 'down' ? 'text-danger' : health.status === 'degraded' ? 'text-warning' : 'text-success'}
+          />
+          <span className="w-12 text-right font-mono">{health.latency != null ? `${health.latency} ms` : '—'}</span>
+        </span>
+      )}
+      <Badge variant={badge.variant} className={cn('px-3 py-1 font-medium', health.status === 'unknown' && 'animate-pulse')}>
+        {t(badge.label)}
+      </Badge>
+    </button>
+  )
+}
@@ -0,0 +1,170 @@
+import { useRef, useState } from 'react'
+import { useHealth } from '../hooks/useHealth'
+import { useI18n } from '../hooks/useI18n'
+import { campaignReport, parseCampaignFile, planCampaign } from '../lib/campaignImport'
+import { indexCatalog, loadCatalog } from '../lib/catalog'
+import { downloadFile, fileTimestamp } from '../lib/download'
+import { errorMessage } from '../lib/errors'
+import { formatPrice } from '../lib/format'
+import { APPLIED } from '../lib/loadTest'
+import { mapWithConcurrency } from '../lib/pool'
+import { applyDiscount } from '../lib/productStore'
+import { cn } from '../lib/utils'
+import { Button } from './ui/button'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from './ui/card'
+
+const CONCURRENCY = 4
+
+const ACTION_CLASS = {
+  apply: 'text-success',
+  skip: 'text-warning',
+  invalid: 'text-danger'
+}
+
+// Outcomes are written to the report as is; the table shows them translated
+const OUTCOME_STYLE = {
+  sending: { className: 'text-muted-foreground', key: 'import.outcome.sending' },
+  applied: { className: 'text-success', key: 'import.outcome.applied' },
+  'already applied': { className: 'text-warning', key: 'import.outcome.already' },
+  failed: { className: 'text-danger', key: 'import.outcome.failed' }
+}
+
+const COLUMNS = ['line', 'product', 'discount', 'percent', 'dryRun', 'price', 'result']
+
+const TH = 'sticky top-0 bg-secondary px-2 py-1.5 text-left font-semibold text-muted-foreground'
+const TD = 'border-t border-card px-2 py-1 align-top'
+
+/**
+ * Import a discount campaign from CSV/JSON: validate, show a dry-run diff, then apply the "apply" rows
+ */
+export default function ImportPanel() {
+  const [fileName, setFileName] = useState(null)
+  const [plan, setPlan] = useState(null)
+  const [error, setError] = useState(null)
+  const [running, setRunning] = useState(false)
+  const [applied, setApplied] = useState(false)
+  const { writable } = useHealth()
+  const fileInput = useRef(null)
+  const { t } = useI18n()
+  const describe = (problem) => t(problem.key, problem.params)
+
+  const onFile = async (e) => {
+    const file = e.target.files?.[0]
+    e.target.value = ''
+    if (!file) return
+    setFileName(file.name)
+    setPlan(null)
+    setError(null)
+    setApplied(false)
+    try {
+      const rows = parseCampaignFile(file.name, await file.text())
+      const catalog = await loadCatalog({ quiet: true })
+      setPlan(planCampaign(rows, indexCatalog(catalog)))
+    } catch (err) {
+      setError(err)
+    }
+  }
+
+  const setRow = (index, patch) => setPlan(prev => prev.map((r, i) => i === index ? { ...r, ...patch } : r))
+
+  const apply = async () => {
+    setRunning(true)
+    const targets = plan.map((row, index) => ({ row, index })).filter(({ row }) => row.action === 'apply')
+    await mapWithConcurrency(targets, CONCURRENCY, async ({ row, index }) => {
+      setRow(index, { outcome: 'sending' })
+      try {
+        const data = await applyDiscount(row.productId, { discountId: row.discountId, percent: row.percent })
+        setRow(index, {
+          outcome: data.message === APPLIED ? 'applied' : 'already applied',
+          message: data.message,
+          finalPrice: data.product.finalPrice
+        })
+      } catch (err) {
+        setRow(index, { outcome: 'failed', message: err.message, error: err })
+      }
+    })
+    setRunning(false)
+    setApplied(true)
+  }
+
+  const download = (format) => {
+    const base = `campaign-report-${fileTimestamp()}`
+    downloadFile(`${base}.${format}`, campaignReport(plan, format, t), format === 'json' ? 'application/json' : 'text/csv')
+  }
+
+  const counts = (plan || []).reduce((acc, r) => ({ ...acc, [r.action]: (acc[r.action] || 0) + 1 }), {})
+
+  return (
+    <Card className="mb-4 hover:shadow-sm">
+      <CardHeader className="space-y-1 p-4 pb-3">
+        <CardTitle className="cursor-help text-sm" title={t('import.titleHint')}>{t('import.title')}</CardTitle>
+        <CardDescription className="text-[11px]">
+          {t('import.description')} <code className="rounded bg-background px-1 font-mono">productId, discountId, percent</code>. {t('import.descriptionConfirm')}
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="p-4 pt-0">
+        <Button variant="secondary" size="sm" className="text-xs" onClick={() => fileInput.current?.click()}>
+          {fileName ? t('import.chooseAnother', { name: fileName }) : t('import.chooseFile')}
+        </Button>
+        <input ref={fileInput} type="file" accept=".csv,.json,text/csv,application/json" onChange={onFile} className="hidden" />
+
+        {error && (
+          <div className="mt-3 rounded-md bg-destructive px-3 py-2.5 text-[13px] text-destructive-foreground" title={error.message}>
+            {error.key ? t(error.key, error.params) : errorMessage(t, error)}
+          </div>
+        )}
+
+        {plan && (
+          <>
+            <div className="mt-3 flex gap-3 text-xs">
+              <span className="text-success">{t('import.counts.apply', { count: counts.apply || 0 })}</span>
+              <span className="text-warning">{t('import.counts.skip', { count: counts.skip || 0 })}</span>
+              <span className="text-danger">{t('import.counts.invalid', { count: counts.invalid || 0 })}</span>
+            </div>
+
+            <div className="mt-2 max-h-64 overflow-auto rounded-md bg-background">
+              <table className="w-full border-collapse text-[11px]">
+                <thead>
+                  <tr>
+                    {COLUMNS.map(c => <th key={c} className={TH}>{t(`import.columns.${c}`)}</th>)}
+                  </tr>
+                </thead>
+                <tbody>
+                  {plan.map((r, i) => (
+                    <tr key={i}>
+                      <td className={TD}>{r.line}</td>
+                      <td className={cn(TD, 'font-mono')}>{r.productId}</td>
+                      <td className={cn(TD, 'font-mono')}>{r.discountId}</td>
+                      <td className={TD}>{Number.isNaN(r.percent) ? '—' : r.percent}</td>
+                      <td className={cn(TD, ACTION_CLASS[r.action])} title={r.errors.map(describe).join('\n') || (r.note && describe(r.note)) || ''}>
+                        {t(`import.action.${r.action}`)}
+                        {r.errors.length > 0 && <div className="mt-0.5 text-[10px] text-muted-foreground">{r.errors.map(describe).join('; ')}</div>}
+                        {r.note && <div className="mt-0.5 text-[10px] text-muted-foreground">{describe(r.note)}</div>}
+                      </td>
+                      <td className={cn(TD, 'font-mono')}>
+                        {r.priceBefore != null && (r.priceAfter !== r.priceBefore
+                          ? `${formatPrice(r.priceBefore, r.product.country)} → ${formatPrice(r.priceAfter, r.product.country)}`
+                          : formatPrice(r.priceBefore, r.product.country))}
+                      </td>
+                      <td className={cn(TD, OUTCOME_STYLE[r.outcome]?.className)} title={r.error ? errorMessage(t, r.error) : ''}>
+                        {r.outcome && t(OUTCOME_STYLE[r.outcome].key)}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            <div className="mt-3 flex gap-2">
+              <Button className="h-9 px-5 text-[13px] font-semibold" onClick={apply} disabled={running || applied || !counts.apply || !writable}>
+                {running ? t('import.applying') : t('import.apply', { count: counts.apply || 0 })}
+              </Button>
+              <Button variant="secondary" size="sm" className="text-xs" onClick={() => download('csv')} title={t('import.reportHint', { format: 'CSV' })}>{t('import.report', { format: 'CSV' })}</Button>
+              <Button variant="secondary" size="sm" className="text-xs" onClick={() => download('json')} title={t('import.reportHint', { format: 'JSON' })}>{t('import.report', { format: 'JSON' })}</Button>
+            </div>
+          </>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
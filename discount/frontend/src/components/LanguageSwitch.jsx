@@ -0,0 +1,18 @@
+import { useI18n } from '../hooks/useI18n'
+import { LANGUAGES } from '../lib/i18n'
+
+const SELECT = 'h-8 cursor-pointer rounded-full border border-input bg-secondary px-2 text-xs outline-none'
+
+/**
+ * Header dropdown for the UI language; "Auto" follows the selected country
+ */
+export default function LanguageSwitch() {
+  const { chosen, auto, setLanguage, t } = useI18n()
+  return (
+    <select className={SELECT} value={chosen} onChange={e => setLanguage(e.target.value)} title={t('header.language')}>
+      <option value="">{t('header.languageAuto', { language: LANGUAGES[auto] })}</option>
+      {Object.entries(LANGUAGES).map(([code, name]) => <option key={code} value={code}>{name}</option>)}
+    </select>
+  )
+}
+
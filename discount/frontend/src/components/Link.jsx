@@ -0,0 +1,14 @@
+import { navigate } from '../lib/router'
+
+/**
+ * Anchor that navigates client-side; modified clicks (new tab, etc.) keep the browser default
+ */
+export default function Link({ to, onClick, children, ...props }) {
+  const handleClick = (e) => {
+    onClick?.(e)
+    if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return
+    e.preventDefault()
+    navigate(to)
+  }
+  return <a href={to} onClick={handleClick} {...props}>{children}</a>
+}
@@ -0,0 +1,30 @@
+import { useLiveUpdates } from '../hooks/useLiveUpdates'
+import { useI18n } from '../hooks/useI18n'
+import { cn } from '../lib/utils'
+
+const DOT = {
+  connecting: 'bg-muted-foreground animate-pulse',
+  open: 'bg-success',
+  reconnecting: 'bg-danger',
+  unsupported: 'bg-muted-foreground'
+}
+
+/**
+ * Header indicator for the live product-update stream (lib/liveUpdates.js)
+ * Mounted for the whole session, so it also keeps the stream open
+ */
+export default function LiveStatus() {
+  const live = useLiveUpdates()
+  const { t, language } = useI18n()
+
+  const title = live.status === 'reconnecting'
+    ? t('live.reconnectingHint', { time: new Date(live.nextAttempt).toLocaleTimeString(language), attempts: live.failures })
+    : t(`live.${live.status}Hint`)
+
+  return (
+    <span className="flex items-center gap-1.5 text-[11px] text-muted-foreground" title={title}>
+      <span className={cn('inline-block h-2 w-2 rounded-full', DOT[live.status])} />
+      {t(`live.${live.status}`)}
+    </span>
+  )
+}
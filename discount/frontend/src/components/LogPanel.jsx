@@ -0,0 +1,221 @@
+import { useEffect, useRef, useState } from 'react'
+import { useHealth } from '../hooks/useHealth'
+import { useI18n } from '../hooks/useI18n'
+import { api } from '../lib/api'
+import { downloadFile, fileTimestamp } from '../lib/download'
+import { toHar } from '../lib/har'
+import { diffJson } from '../lib/jsonDiff'
+import { filterLogs } from '../lib/logStore'
+import { applyDiscount } from '../lib/productStore'
+import { SNIPPET_FORMATS } from '../lib/snippets'
+import { cn } from '../lib/utils'
+import { Badge } from './ui/badge'
+import { Button } from './ui/button'
+import { Input } from './ui/input'
+
+// Rendering every stored entry with its JSON bodies gets slow; older matches are reachable by filtering
+const MAX_RENDERED = 200
+
+const EMPTY_FILTERS = { method: '', status: '', product: '', discount: '', search: '' }
+
+const FILTER = 'h-7 rounded border-border bg-card px-2 text-[11px]'
+const SMALL_BUTTON = 'h-auto bg-secondary px-2.5 py-1 text-[11px] font-normal text-muted-foreground hover:text-foreground'
+
+const isOk = (status) => status > 0 && status < 300
+
+const APPLY_PATH = /^\/products\/([^/?]+)\/discount$/
+
+/**
+ * Send a logged request again, resolving to {status, data}
+ * Discount applies go through the product store, so the product on screen picks up the result like any other apply
+ */
+const send = (log) => {
+  const label = `Replay: ${log.type}`
+  const apply = log.method === 'PUT' && log.url.match(APPLY_PATH)
+  if (apply) return applyDiscount(decodeURIComponent(apply[1]), log.body ?? {}, { label }).then(data => ({ status: 200, data }))
+  return api.request(log.method, log.url, { body: log.body ?? undefined, label, fullResponse: true })
+}
+
+/**
+ * Right-hand API log: filterable, searchable, exportable as HAR
+ * Each real request can be replayed (the new response is diffed against the logged one) or copied as a snippet
+ * fullWidth is used by the /logs route, where the panel replaces the workspace
+ */
+export default function LogPanel({ logs, onClear, fullWidth = false }) {
+  const [filters, setFilters] = useState(EMPTY_FILTERS)
+  const [replays, setReplays] = useState({})
+  const [copied, setCopied] = useState(null)
+  const { writable } = useHealth()
+  const { t } = useI18n()
+  const logsRef = useRef(null)
+
+  useEffect(() => {
+    if (logsRef.current) logsRef.current.scrollTop = 0
+  }, [logs])
+
+  const set = (key) => (e) => setFilters(prev => ({ ...prev, [key]: e.target.value }))
+  const filtered = filterLogs(logs, filters)
+  const filtering = Object.values(filters).some(Boolean)
+
+  const replay = async (log) => {
+    setReplays(prev => ({ ...prev, [log.id]: { loading: true } }))
+    let status
+    let response
+    try {
+      const res = await send(log)
+      status = res.status
+      response = res.data
+    } catch (e) {
+      status = e.status ?? 0
+      response = e.body ?? { error: e.message }
+    }
+    setReplays(prev => ({ ...prev, [log.id]: { loading: false, status, diff: diffJson(log.response, response) } }))
+  }
+
+  const copySnippet = (log, format) => {
+    navigator.clipboard.writeText(SNIPPET_FORMATS[format](log))
+    setCopied(`${log.id}:${format}`)
+    setTimeout(() => setCopied(null), 1500)
+  }
+
+  const exportHar = () => {
+    const har = toHar(filtered)
+    downloadFile(`discount-api-${fileTimestamp()}.har`, JSON.stringify(har, null, 2), 'application/json')
+  }
+
+  return (
+    <aside className={cn('flex shrink-0 flex-col bg-background', fullWidth ? 'flex-1' : 'w-[420px]')}>
+      <div className="flex items-center justify-between border-b px-4 py-3">
+        <span className="cursor-help text-sm font-semibold" title={t('logs.titleHint')}>{t('logs.title')}</span>
+        <div className="flex gap-1.5">
+          <Button variant="secondary" size="sm" className={SMALL_BUTTON} onClick={exportHar} disabled={filtered.length === 0} title={t('logs.exportHarHint')}>
+            {t('logs.exportHar')}
+          </Button>
+          <Button variant="secondary" size="sm" className={SMALL_BUTTON} onClick={onClear} title={t('logs.clearHint')}>{t('logs.clear')}</Button>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-2 gap-1.5 border-b px-3 py-2.5">
+        <Input className={cn(FILTER, 'col-span-2')} placeholder={t('logs.search')} value={filters.search} onChange={set('search')} />
+        <select className={cn(FILTER, 'border')} value={filters.method} onChange={set('method')} title={t('logs.methodHint')}>
+          <option value="">{t('logs.allMethods')}</option>
+          <option value="GET">GET</option>
+          <option value="PUT">PUT</option>
+        </select>
+        <select className={cn(FILTER, 'border')} value={filters.status} onChange={set('status')} title={t('logs.statusHint')}>
+          <option value="">{t('logs.allStatuses')}</option>
+          <option value="2xx">2xx</option>
+          <option value="4xx">4xx</option>
+          <option value="5xx">5xx</option>
+          <option value="error">{t('logs.noResponse')}</option>
+        </select>
+        <Input className={FILTER} placeholder={t('logs.productId')} value={filters.product} onChange={set('product')} />
+        <Input className={FILTER} placeholder={t('logs.discountId')} value={filters.discount} onChange={set('discount')} />
+        {filtering && (
+          <div className="col-span-2 flex items-center justify-between text-[10px] text-muted-foreground">
+            {t('logs.filtered', { shown: filtered.length, count: logs.length })}
+            <button className="text-[10px] text-primary" onClick={() => setFilters(EMPTY_FILTERS)}>{t('logs.reset')}</button>
+          </div>
+        )}
+      </div>
+
+      <div className="flex-1 overflow-y-auto p-3" ref={logsRef}>
+        {logs.length === 0 ? (
+          <Empty>
+            {t('logs.empty')}<br/><br/>
+            {t('logs.emptyHint')}
+          </Empty>
+        ) : filtered.length === 0 ? (
+          <Empty>{t('logs.noMatch')}</Empty>
+        ) : (
+          filtered.slice(0, MAX_RENDERED).map(log => (
+            <div key={log.id} className="mb-3 rounded-lg bg-card p-3">
+              <div className="mb-1.5 flex items-center gap-2">
+                <Badge
+                  className={cn('cursor-help rounded px-1.5 py-0 text-[10px] font-bold', log.method === 'GET' ? 'bg-info text-info-foreground hover:bg-info' : 'bg-mutation text-mutation-foreground hover:bg-mutation')}
+                  title={t('logs.methodBadgeHint', { method: log.method })}
+                >
+                  {log.method}
+                </Badge>
+                <span className="flex-1 text-xs font-semibold">{log.type}</span>
+                <span
+                  className={cn('cursor-help text-xs font-semibold', isOk(log.status) ? 'text-success' : 'text-danger')}
+                  title={log.status ? t('logs.statusCodeHint', { status: log.status }) : t('logs.noResponseHint')}
+                >
+                  {log.status || 'ERR'}
+                </span>
+                <span className="cursor-help rounded bg-secondary px-1.5 py-0.5 text-[10px] text-muted-foreground" title={t('logs.durationHint')}>{log.duration}ms</span>
+              </div>
+              <div className="mb-2 cursor-help font-mono text-[11px] text-muted-foreground" title={t('logs.urlHint', { timestamp: log.timestamp })}>{log.time} • {log.url}</div>
+
+              {log.body && (
+                <>
+                  <Label>{t('logs.requestBody')}</Label>
+                  <Json value={log.body} />
+                </>
+              )}
+
+              <Label>{t('logs.response')}</Label>
+              <Json value={log.response} className={cn('border-l-[3px]', isOk(log.status) ? 'border-success' : 'border-danger')} />
+
+              {!log.synthetic && (
+                <div className="mt-2 flex flex-wrap gap-1.5">
+                  <Button variant="secondary" size="sm" className={cn(SMALL_BUTTON, 'text-[10px]')} onClick={() => replay(log)} disabled={replays[log.id]?.loading || (log.method !== 'GET' && !writable)} title={t('logs.replayHint')}>
+                    {t(replays[log.id]?.loading ? 'logs.replaying' : 'logs.replay')}
+                  </Button>
+                  {Object.keys(SNIPPET_FORMATS).map(format => (
+                    <Button key={format} variant="secondary" size="sm" className={cn(SMALL_BUTTON, 'text-[10px]')} onClick={() => copySnippet(log, format)} title={t('logs.copyHint', { format })}>
+                      {copied === `${log.id}:${format}` ? t('logs.copied') : t('logs.copy', { format })}
+                    </Button>
+                  ))}
+                </div>
+              )}
+
+              {replays[log.id] && !replays[log.id].loading && (
+                <ReplayDiff original={log.status} replay={replays[log.id]} />
+              )}
+            </div>
+          ))
+        )}
+        {filtered.length > MAX_RENDERED && (
+          <Empty>{t('logs.truncated', { max: MAX_RENDERED, count: filtered.length })}</Empty>
+        )}
+      </div>
+    </aside>
+  )
+}
+
+function ReplayDiff({ original, replay }) {
+  const { status, diff } = replay
+  const { t } = useI18n()
+  return (
+    <div className="mt-2 rounded bg-background px-2 py-1.5">
+      <Label>
+        {t('logs.replayResult', { original, status: status || 'ERR' })} {diff.length === 0 ? t('logs.identical') : t('logs.differences', { count: diff.length })}
+      </Label>
+      {diff.map(d => (
+        <div key={d.path} className="flex flex-col border-t border-card py-0.5 font-mono text-[10px]">
+          <span className="text-muted-foreground">{d.path}</span>
+          {d.type !== 'added' && <span className="break-all text-danger">− {JSON.stringify(d.before)}</span>}
+          {d.type !== 'removed' && <span className="break-all text-success">+ {JSON.stringify(d.after)}</span>}
+        </div>
+      ))}
+    </div>
+  )
+}
+
+function Label({ children }) {
+  return <div className="mb-1 mt-2 text-[9px] font-bold text-muted-foreground">{children}</div>
+}
+
+function Json({ value, className }) {
+  return (
+    <pre className={cn('m-0 max-h-[150px] overflow-auto whitespace-pre-wrap rounded bg-background p-2 font-mono text-[10px] text-code', className)}>
+      {JSON.stringify(value, null, 2)}
+    </pre>
+  )
+}
+
+function Empty({ children }) {
+  return <div className="px-5 py-10 text-center text-[13px] leading-relaxed text-muted-foreground">{children}</div>
+}
@@ -0,0 +1,95 @@
+import { useEffect } from 'react'
+import { useDisplayCurrency } from '../hooks/useDisplayCurrency'
+import { useHealth } from '../hooks/useHealth'
+import { useI18n } from '../hooks/useI18n'
+import { useOutbox } from '../hooks/useOutbox'
+import { clearFinishedOutbox, flushOutbox, removeOutboxItem } from '../lib/outbox'
+import { cn } from '../lib/utils'
+import { Badge } from './ui/badge'
+import { Button } from './ui/button'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from './ui/card'
+
+const STATUS_BADGE = {
+  queued: { variant: 'secondary', label: 'outbox.status.queued' },
+  sending: { variant: 'secondary', label: 'outbox.status.sending' },
+  applied: { variant: 'success', label: 'outbox.status.applied' },
+  'already applied': { variant: 'warning', label: 'outbox.status.alreadyApplied' },
+  failed: { variant: 'destructive', label: 'outbox.status.failed' }
+}
+
+/**
+ * Discounts applied while offline: sent automatically once the backend is reachable, with each item's outcome
+ * Hidden while the outbox is empty
+ */
+export default function OutboxPanel() {
+  const items = useOutbox()
+  const { writable } = useHealth()
+  const { formatPrice } = useDisplayCurrency()
+  const { t } = useI18n()
+  const queued = items.filter(i => i.status === 'queued').length
+  const sending = items.some(i => i.status === 'sending')
+  const finished = items.length - queued - (sending ? 1 : 0)
+
+  useEffect(() => {
+    if (writable && queued > 0 && !sending) flushOutbox()
+  }, [writable, queued > 0])
+
+  if (items.length === 0) return null
+
+  return (
+    <Card className="mb-4 hover:shadow-sm">
+      <CardHeader className="space-y-1 p-4 pb-3">
+        <CardTitle className="text-sm">{t('outbox.title', { count: queued })}</CardTitle>
+        <CardDescription className="text-[11px]">{t(writable ? 'outbox.hintOnline' : 'outbox.hintOffline')}</CardDescription>
+      </CardHeader>
+      <CardContent className="p-4 pt-0">
+        <div className="flex flex-col gap-1.5">
+          {items.map(item => (
+            <div key={item.id} className="flex items-center gap-2.5 rounded-md bg-secondary px-3 py-2 text-xs">
+              <div className="min-w-0 flex-1">
+                <div className="truncate">
+                  <strong>{item.productName}</strong> <span className="font-mono text-muted-foreground">({item.productId})</span>
+                </div>
+                <div className="text-[11px] text-muted-foreground">
+                  <span className="font-mono">{item.discountId}</span> • {item.percent}%
+                  {item.finalPrice != null && <> • {t('outbox.finalPrice', { price: formatPrice(item.finalPrice, item.country) })}</>}
+                  {item.message && <> • {item.message}</>}
+                </div>
+              </div>
+              <Badge
+                variant={STATUS_BADGE[item.status].variant}
+                className={cn('shrink-0 px-2 py-0 text-[10px]', item.status === 'sending' && 'animate-pulse')}
+                title={t('outbox.queuedAt', { time: new Date(item.queuedAt).toLocaleString(), attempts: item.attempts })}
+              >
+                {t(STATUS_BADGE[item.status].label)}
+              </Badge>
+              {item.status !== 'sending' && (
+                <button
+                  className="shrink-0 text-muted-foreground hover:text-foreground"
+                  onClick={() => removeOutboxItem(item.id)}
+                  title={t(item.status === 'queued' ? 'outbox.cancel' : 'outbox.dismiss')}
+                  aria-label={t(item.status === 'queued' ? 'outbox.cancel' : 'outbox.dismiss')}
+                >
+                  ✕
+                </button>
+              )}
+            </div>
+          ))}
+        </div>
+
+        <div className="mt-3 flex gap-2">
+          {queued > 0 && (
+            <Button size="sm" className="h-7 px-3 text-xs" onClick={flushOutbox} disabled={!writable || sending}>
+              {sending ? t('outbox.sending') : t('outbox.sendNow', { count: queued })}
+            </Button>
+          )}
+          {finished > 0 && (
+            <Button variant="secondary" size="sm" className="h-7 px-3 text-xs" onClick={clearFinishedOutbox}>
+              {t('outbox.clearFinished')}
+            </Button>
+          )}
+        </div>
+      </CardContent>
+    </Card>
+  )
+}
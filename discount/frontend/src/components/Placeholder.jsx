@@ -0,0 +1,6 @@
+/**
+ * Muted hint shown inside a card until there is something to display
+ */
+export default function Placeholder({ children }) {
+  return <div className="p-6 text-center text-sm text-muted-foreground">{children}</div>
+}
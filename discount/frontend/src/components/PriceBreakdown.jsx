@@ -0,0 +1,55 @@
+import { useDisplayCurrency } from '../hooks/useDisplayCurrency'
+import { useI18n } from '../hooks/useI18n'
+import { findCountry } from '../lib/countries'
+import { formatPrice } from '../lib/format'
+import { priceBreakdown } from '../lib/pricing'
+import { cn } from '../lib/utils'
+
+const BOX = 'mb-2.5 rounded-md bg-card px-2.5 py-2 text-[11px] text-muted-foreground'
+
+/** [label, detail] of a priceBreakdown step */
+function describeStep(t, step) {
+  switch (step.type) {
+    case 'base': return [t('breakdown.base'), null]
+    case 'discount': return [step.discountId, `−${step.percent}%`]
+    case 'vat': return [t('breakdown.vat'), `+${step.percent}%`]
+    default: return [t('breakdown.rounded'), t('breakdown.twoDecimals')]
+  }
+}
+
+/**
+ * Step-by-step price calculation for a product, computed client-side by lib/pricing
+ * Steps stay in the product's currency; the selected display currency is only added to the final price
+ */
+export default function PriceBreakdown({ product }) {
+  const { priceParts } = useDisplayCurrency()
+  const { t } = useI18n()
+  let breakdown
+  try {
+    breakdown = priceBreakdown(product)
+  } catch (e) {
+    // A listed country can only fail on its VAT rate: the server supports it, the client just can't price it
+    return <div className={BOX} title={e.message}>{t(findCountry(product.country) ? 'errors.vatUnknown' : 'errors.unsupportedCountry')}</div>
+  }
+  const { converted } = priceParts(breakdown.finalPrice, product.country)
+
+  return (
+    <div className={BOX}>
+      {breakdown.steps.map((step, i) => {
+        const last = i === breakdown.steps.length - 1
+        const [label, detail] = describeStep(t, step)
+        return (
+          <div key={i} className={cn('flex gap-2 py-0.5', last && 'mt-1 border-t pt-1 font-semibold text-success')}>
+            <span className="flex-1 font-mono">{label}</span>
+            <span className="w-20 text-right">{detail}</span>
+            <span className="w-28 text-right font-mono">{formatPrice(step.value, product.country, { fractionDigits: last ? 2 : 4 })}</span>
+          </div>
+        )
+      })}
+      <div className="mt-1.5 text-[10px]">
+        {t('breakdown.summary', { percent: breakdown.totalDiscountPercent.toFixed(2), vat: formatPrice(breakdown.vatAmount, product.country) })}
+        {converted && ` • ${t('breakdown.converted', { amount: converted })}`}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,64 @@
+import { useI18n } from '../hooks/useI18n'
+import { formatPrice } from '../lib/format'
+import { findVatRate, getVatPercent } from '../lib/pricing'
+import { cn } from '../lib/utils'
+import { Button } from './ui/button'
+
+// The sheet is paper: fixed black on white whatever the theme
+const TH = 'border-b-2 border-slate-900 px-1 py-1.5 text-left'
+const TD = 'border-b border-slate-300 px-1 py-2 align-top'
+const NUM = 'whitespace-nowrap text-right'
+
+/**
+ * Print-optimized price list for store staff
+ * Rendered in an overlay; index.css hides everything except .print-area when printing
+ * Prices are printed in the country's own currency only, regardless of the display currency
+ */
+export default function PriceList({ country, products, onClose }) {
+  const { t, language } = useI18n()
+  const vat = getVatPercent(country)
+  const date = new Date().toLocaleString(language)
+
+  return (
+    <div className="fixed inset-0 z-50 overflow-y-auto bg-slate-900/85 p-6">
+      <div className="no-print mx-auto mb-3 flex max-w-3xl justify-end gap-2">
+        <Button size="sm" className="font-semibold" onClick={() => window.print()}>{t('priceList.print')}</Button>
+        <Button variant="secondary" size="sm" onClick={onClose}>{t('priceList.close')}</Button>
+      </div>
+
+      <div className="print-area mx-auto max-w-3xl rounded bg-white p-8 font-serif text-slate-900">
+        <h1 className="mb-1 text-2xl">{t('priceList.title', { country })}</h1>
+        <div className="mb-5 text-xs text-slate-600">
+          {vat == null ? t('priceList.metaNoVat', { date }) : t('priceList.meta', { vat, date })}
+        </div>
+        <table className="w-full border-collapse text-[13px]">
+          <thead>
+            <tr>
+              <th className={TH}>{t('priceList.columns.product')}</th>
+              <th className={TH}>{t('priceList.columns.article')}</th>
+              <th className={cn(TH, NUM)}>{t('priceList.columns.regular')}</th>
+              <th className={TH}>{t('priceList.columns.discounts')}</th>
+              <th className={cn(TH, NUM)}>{t('priceList.columns.price')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {products.map(p => {
+              const rate = findVatRate(p.country)
+              const regular = rate == null ? null : p.basePrice * (1 + rate)
+              const discounted = p.discounts.length > 0
+              return (
+                <tr key={p.id}>
+                  <td className={TD}><strong>{p.name}</strong></td>
+                  <td className={cn(TD, 'font-mono')}>{p.id}</td>
+                  <td className={cn(TD, NUM, discounted && 'text-slate-500 line-through')}>{regular == null ? '—' : formatPrice(regular, p.country)}</td>
+                  <td className={TD}>{p.discounts.map(d => `${d.discountId} −${d.percent}%`).join(', ') || '—'}</td>
+                  <td className={cn(TD, NUM, 'text-base font-bold')}>{formatPrice(p.finalPrice, p.country)}</td>
+                </tr>
+              )
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,121 @@
+import { useState } from 'react'
+import { useDisplayCurrency } from '../hooks/useDisplayCurrency'
+import { useI18n } from '../hooks/useI18n'
+import { checkPriceConsistency, getVatPercent } from '../lib/pricing'
+import { cn } from '../lib/utils'
+import PriceBreakdown from './PriceBreakdown'
+import { Badge } from './ui/badge'
+import { Button } from './ui/button'
+
+/**
+ * One product in Step 2: prices, consistency check against the client calculation, breakdown and applied discounts
+ * Clicking the card selects it; the copy buttons and breakdown toggle don't
+ * @param {boolean} changed Just updated through the live event stream
+ */
+export default function ProductCard({ product, selected, changed, onSelect }) {
+  const [copied, setCopied] = useState(null)
+  const [expanded, setExpanded] = useState(false)
+  const { formatPrice, priceParts } = useDisplayCurrency()
+  const { t } = useI18n()
+
+  const vat = getVatPercent(product.country)
+  const consistency = checkPriceConsistency(product)
+  const base = priceParts(product.basePrice, product.country)
+  const final = priceParts(product.finalPrice, product.country)
+
+  const copy = (e, text) => {
+    e.stopPropagation()
+    navigator.clipboard.writeText(text)
+    setCopied(text)
+    setTimeout(() => setCopied(null), 1500)
+  }
+
+  return (
+    <div
+      onClick={() => onSelect(product)}
+      title={t('product.selectHint')}
+      className={cn(
+        'cursor-pointer rounded-lg border-2 border-transparent bg-secondary p-3 transition-all',
+        selected && 'border-primary bg-primary/20',
+        changed && 'ring-2 ring-success ring-offset-2 ring-offset-background'
+      )}
+    >
+      <div className="mb-2.5 flex items-center justify-between">
+        <div>
+          <span className="mr-2 text-sm font-semibold">{product.name}</span>
+          <code className="cursor-help rounded bg-card px-1.5 py-0.5 text-[11px] text-muted-foreground" title={t('product.idHint')}>{product.id}</code>
+          {changed && <Badge variant="success" className="ml-2 px-1.5 py-0 text-[10px]" title={t('product.updatedLiveHint')}>{t('product.updatedLive')}</Badge>}
+        </div>
+        <Button variant="ghost" size="sm" className="h-7 bg-accent px-2 text-xs" onClick={(e) => copy(e, product.id)} title={t('product.copyId')}>
+          {copied === product.id ? '✓' : '📋'}
+        </Button>
+      </div>
+
+      <div className="mb-2.5 flex items-center gap-2">
+        <PriceBox label={t('product.basePrice')} parts={base} title={t('product.basePriceHint')} />
+        <span className="text-muted-foreground">→</span>
+        <PriceBox label={t('product.finalPrice')} parts={final} title={vat == null ? t('product.vatUnknown') : t('product.finalPriceHint', { vat })} note={vat == null ? t('product.vatUnknown') : t('product.inclVat', { vat })} highlight />
+      </div>
+
+      {!consistency.matches && (
+        <div className="mb-2 rounded bg-warning/15 px-2 py-1.5 text-[11px] text-warning" title={t('product.mismatchHint')}>
+          {t('product.mismatch', { expected: formatPrice(consistency.expected, product.country), actual: formatPrice(consistency.actual, product.country) })}
+        </div>
+      )}
+
+      <button
+        className="mb-1.5 py-0.5 text-[11px] text-muted-foreground hover:text-foreground"
+        onClick={(e) => { e.stopPropagation(); setExpanded(prev => !prev) }}
+        title={t('product.breakdownHint')}
+      >
+        {t(expanded ? 'product.hideBreakdown' : 'product.showBreakdown')}
+      </button>
+      {expanded && <PriceBreakdown product={product} />}
+
+      {product.discounts?.length > 0 && (
+        <div className="mt-2.5 rounded-md bg-card p-2.5">
+          <div className="mb-2 cursor-help text-[11px] text-muted-foreground" title={t('product.appliedDiscountsHint')}>
+            {t('product.appliedDiscounts', { count: product.discounts.length })}
+          </div>
+          <div className="flex flex-wrap gap-1.5">
+            {product.discounts.map(d => d.pending ? (
+              <Badge
+                key={d.discountId}
+                variant="secondary"
+                className="animate-pulse cursor-wait gap-1.5 rounded border-dashed border-muted-foreground px-2 py-1 font-normal"
+                title={t('product.pendingDiscount', { code: d.discountId, percent: d.percent })}
+              >
+                <span className="font-mono text-[11px]">{d.discountId}</span>
+                <span className="text-[11px] font-semibold">-{d.percent}%</span>
+                <span className="text-[10px] opacity-70">⏳</span>
+              </Badge>
+            ) : (
+              <Badge
+                key={d.discountId}
+                variant="warning"
+                className="cursor-pointer gap-1.5 rounded px-2 py-1 font-normal"
+                title={t('product.copyDiscount', { code: d.discountId, percent: d.percent })}
+                onClick={(e) => copy(e, d.discountId)}
+              >
+                <span className="font-mono text-[11px]">{d.discountId}</span>
+                <span className="text-[11px] font-semibold">-{d.percent}%</span>
+                <span className="text-[10px] opacity-70">{copied === d.discountId ? '✓' : '📋'}</span>
+              </Badge>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+function PriceBox({ label, parts, title, note, highlight }) {
+  return (
+    <div className="flex-1 cursor-help rounded-md bg-card px-2.5 py-2 text-center" title={title}>
+      <div className="mb-0.5 text-[10px] text-muted-foreground">{label}</div>
+      <div className={cn('text-base font-bold', highlight && 'text-success')}>{parts.original}</div>
+      {parts.converted && <div className="mt-0.5 text-[9px] text-muted-foreground">≈ {parts.converted}</div>}
+      {note && <div className="mt-0.5 text-[9px] text-muted-foreground">{note}</div>}
+    </div>
+  )
+}
@@ -0,0 +1,114 @@
+import { useEffect, useState } from 'react'
+import { useI18n } from '../hooks/useI18n'
+import { getCountryMeta } from '../lib/countries'
+import { SORT_KEYS } from '../lib/productFilter'
+import { cn } from '../lib/utils'
+import { Button } from './ui/button'
+import { Input } from './ui/input'
+
+const CONTROL = 'h-8 bg-secondary px-2 text-xs'
+
+/**
+ * Search box, filters and sort order for Step 2
+ * @param {object} filters Parsed from the URL (see lib/productFilter.js)
+ * @param {(patch: object) => void} onChange
+ * @param {{shown: number, total: number}} counts
+ */
+export default function ProductFilters({ country, filters, onChange, onReset, counts, filtering }) {
+  const { t } = useI18n()
+  const currency = getCountryMeta(country).currency
+
+  return (
+    <div className="mb-3 flex flex-col gap-2 rounded-md bg-card p-2.5">
+      <Input
+        className={CONTROL}
+        type="search"
+        placeholder={t('filters.search')}
+        value={filters.q}
+        onChange={e => onChange({ q: e.target.value })}
+      />
+
+      <div className="flex flex-wrap items-center gap-x-4 gap-y-2 text-[11px] text-muted-foreground">
+        <label className="flex cursor-pointer items-center gap-1.5">
+          <input type="checkbox" checked={filters.discounted} onChange={e => onChange({ discounted: e.target.checked })} />
+          {t('filters.discounted')}
+        </label>
+
+        <Range
+          label={t('filters.price', { currency })}
+          title={t('filters.priceHint')}
+          min={filters.minPrice}
+          max={filters.maxPrice}
+          onChange={(minPrice, maxPrice) => onChange({ minPrice, maxPrice })}
+        />
+        <Range
+          label={t('filters.discounts')}
+          min={filters.minDiscounts}
+          max={filters.maxDiscounts}
+          step="1"
+          onChange={(minDiscounts, maxDiscounts) => onChange({ minDiscounts, maxDiscounts })}
+        />
+
+        <div className="flex items-center gap-1.5">
+          {t('filters.sort')}
+          <select
+            className={cn(CONTROL, 'rounded-md border border-input')}
+            value={filters.sort ?? ''}
+            onChange={e => onChange({ sort: e.target.value || null })}
+          >
+            <option value="">{t('filters.sortDefault')}</option>
+            {SORT_KEYS.map(key => <option key={key} value={key}>{t(`filters.sortBy.${key}`)}</option>)}
+          </select>
+          {filters.sort && (
+            <Button
+              variant="secondary"
+              size="sm"
+              className="h-8 px-2 text-xs"
+              onClick={() => onChange({ order: filters.order === 'asc' ? 'desc' : 'asc' })}
+              title={t(filters.order === 'asc' ? 'filters.ascending' : 'filters.descending')}
+            >
+              {filters.order === 'asc' ? '↑' : '↓'}
+            </Button>
+          )}
+        </div>
+      </div>
+
+      {filtering && (
+        <div className="flex items-center justify-between text-[11px] text-muted-foreground">
+          {t('filters.shown', { shown: counts.shown, total: counts.total })}
+          <button className="text-primary" onClick={onReset}>{t('filters.reset')}</button>
+        </div>
+      )}
+    </div>
+  )
+}
+
+function Range({ label, title, min, max, step = 'any', onChange }) {
+  const { t } = useI18n()
+  return (
+    <div className="flex items-center gap-1.5" title={title}>
+      {label}
+      <NumberInput value={min} step={step} placeholder={t('filters.min')} onChange={value => onChange(value, max)} />
+      –
+      <NumberInput value={max} step={step} placeholder={t('filters.max')} onChange={value => onChange(min, value)} />
+    </div>
+  )
+}
+
+// Keeps what the user typed ("1.", "-") while the URL only ever holds parsed numbers
+function NumberInput({ value, onChange, ...props }) {
+  const [draft, setDraft] = useState(value == null ? '' : String(value))
+
+  useEffect(() => {
+    setDraft(prev => (prev.trim() === '' ? null : Number(prev)) === value ? prev : value == null ? '' : String(value))
+  }, [value])
+
+  const change = (e) => {
+    const text = e.target.value
+    setDraft(text)
+    const n = text.trim() === '' ? null : Number(text)
+    if (n === null || Number.isFinite(n)) onChange(n)
+  }
+
+  return <Input className={cn(CONTROL, 'w-16')} type="number" min="0" value={draft} onChange={change} {...props} />
+}
@@ -0,0 +1,74 @@
+import { useMemo } from 'react'
+import { useI18n } from '../hooks/useI18n'
+import { useLiveUpdates } from '../hooks/useLiveUpdates'
+import { useProductFilters } from '../hooks/useProductFilters'
+import { applyFilters, isFiltering } from '../lib/productFilter'
+import ExportBar from './ExportBar'
+import Placeholder from './Placeholder'
+import ProductCard from './ProductCard'
+import ProductFilters from './ProductFilters'
+import RequestError from './RequestError'
+import VirtualList from './VirtualList'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from './ui/card'
+
+// Short lists render normally; longer ones only mount the cards in view
+const VIRTUALIZE_AFTER = 40
+
+/**
+ * Step 2: the selected country's products with search, filters, sorting and export actions
+ * Filter state lives in the URL query (useProductFilters); exports always cover the whole country
+ * status/error come from the product store; a failed refresh keeps showing the cached list above the error
+ * Products changed from other tabs or by other users arrive through lib/liveUpdates.js and are highlighted for a few seconds
+ */
+export default function ProductList({ country, products, status, error, onRetry, selectedId, onSelect }) {
+  const { t } = useI18n()
+  const { filters, setFilters, resetFilters } = useProductFilters()
+  const { changed } = useLiveUpdates()
+  const shown = useMemo(() => applyFilters(products, filters), [products, filters])
+  const filtering = isFiltering(filters)
+  const card = (p) => <ProductCard key={p.id} product={p} selected={p.id === selectedId} changed={Boolean(changed[p.id])} onSelect={onSelect} />
+  return (
+    <Card className="mb-4 hover:shadow-sm">
+      <CardHeader className="space-y-1 p-4 pb-3">
+        <CardTitle className="text-sm">{t('step2.title')}</CardTitle>
+        <CardDescription className="text-[11px]">{t('step2.hint')}</CardDescription>
+      </CardHeader>
+      <CardContent className="p-4 pt-0">
+        {!country ? (
+          <Placeholder>{t('step2.selectCountryFirst')}</Placeholder>
+        ) : products.length === 0 && status === 'error' ? (
+          <RequestError title={t('step2.loadFailed', { country })} error={error} onRetry={onRetry} />
+        ) : products.length === 0 && status === 'ready' ? (
+          <Placeholder>{t('step2.empty', { country })}</Placeholder>
+        ) : products.length === 0 ? (
+          <Placeholder>{t('step2.loading')}</Placeholder>
+        ) : (
+          <>
+            {status === 'error' && <RequestError className="mb-3" title={t('step2.refreshFailed')} error={error} onRetry={onRetry} />}
+            <ExportBar country={country} />
+            <ProductFilters
+              country={country}
+              filters={filters}
+              onChange={setFilters}
+              onReset={resetFilters}
+              counts={{ shown: shown.length, total: products.length }}
+              filtering={filtering}
+            />
+            {shown.length === 0 ? (
+              <Placeholder>
+                {t('filters.noMatch')}{' '}
+                <button className="text-primary" onClick={resetFilters}>{t('filters.reset')}</button>
+              </Placeholder>
+            ) : shown.length > VIRTUALIZE_AFTER ? (
+              <VirtualList className="max-h-[70vh] pr-1" items={shown} getKey={p => p.id} renderItem={card} />
+            ) : (
+              <div className="flex flex-col gap-2.5">
+                {shown.map(card)}
+              </div>
+            )}
+          </>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
@@ -0,0 +1,24 @@
+import { useI18n } from '../hooks/useI18n'
+import { describeError, errorMessage } from '../lib/errors'
+import { cn } from '../lib/utils'
+import { Button } from './ui/button'
+
+/**
+ * Inline failure for one request: a friendly message, the raw one in the tooltip and a retry button when retrying can help
+ * @param {string} title What failed, e.g. "Couldn't load products"
+ */
+export default function RequestError({ title, error, onRetry, className }) {
+  const { t } = useI18n()
+  const { retryable, detail } = describeError(error)
+  return (
+    <div className={cn('flex items-center gap-3 rounded-md bg-destructive px-3 py-2.5 text-[13px] text-destructive-foreground', className)} role="alert">
+      <div className="min-w-0 flex-1" title={detail}>
+        {title && <div className="font-semibold">{title}</div>}
+        <div className="break-words text-xs opacity-90">{errorMessage(t, error)}</div>
+      </div>
+      {onRetry && retryable && (
+        <Button variant="secondary" size="sm" className="h-7 shrink-0 px-3 text-xs" onClick={onRetry}>{t('errors.retry')}</Button>
+      )}
+    </div>
+  )
+}
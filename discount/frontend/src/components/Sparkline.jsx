@@ -0,0 +1,24 @@
+import { cn } from '../lib/utils'
+
+/**
+ * Tiny latency chart for the header: a line through the successful samples, a red dot per failed one
+ * @param {{latency: number|null, ok: boolean}[]} samples Oldest first
+ * @param {number} size Number of slots on the x axis, so the line fills up from the left
+ */
+export default function Sparkline({ samples, size, width = 64, height = 18, className }) {
+  const max = Math.max(1, ...samples.map(s => s.latency ?? 0))
+  const x = (i) => size > 1 ? (i / (size - 1)) * (width - 2) + 1 : width / 2
+  const y = (latency) => height - 2 - (latency / max) * (height - 4)
+  const points = samples
+    .map((s, i) => s.ok ? `${x(i).toFixed(1)},${y(s.latency).toFixed(1)}` : null)
+    .filter(Boolean)
+    .join(' ')
+
+  return (
+    <svg width={width} height={height} viewBox={`0 0 ${width} ${height}`} className={cn('overflow-visible', className)} aria-hidden="true">
+      <line x1="0" y1={height - 1} x2={width} y2={height - 1} className="stroke-border" strokeWidth="1" />
+      {points && <polyline points={points} fill="none" stroke="currentColor" strokeWidth="1.5" strokeLinejoin="round" strokeLinecap="round" />}
+      {samples.map((s, i) => !s.ok && <circle key={s.at} cx={x(i)} cy={height - 2} r="1.5" className="fill-danger" />)}
+    </svg>
+  )
+}
@@ -0,0 +1,35 @@
+import { Monitor, Moon, Sun } from 'lucide-react'
+import { useI18n } from '../hooks/useI18n'
+import { useTheme } from '../hooks/useTheme'
+import { THEMES } from '../lib/theme'
+import { Button } from './ui/button'
+
+const ICONS = { light: Sun, dark: Moon, system: Monitor }
+
+/**
+ * Header button cycling light → dark → system
+ */
+export default function ThemeToggle() {
+  const { preference, theme, setPreference } = useTheme()
+  const { t } = useI18n()
+  const Icon = ICONS[preference]
+  const next = THEMES[(THEMES.indexOf(preference) + 1) % THEMES.length]
+  const label = t('header.themeHint', {
+    theme: t(`header.theme.${preference}`),
+    shown: t(`header.theme.${theme}`),
+    next: t(`header.theme.${next}`)
+  })
+
+  return (
+    <Button
+      variant="ghost"
+      size="icon"
+      className="h-8 w-8 rounded-full"
+      onClick={() => setPreference(next)}
+      title={label}
+      aria-label={label}
+    >
+      <Icon className="h-4 w-4" />
+    </Button>
+  )
+}
@@ -0,0 +1,56 @@
+import { useEffect, useSyncExternalStore } from 'react'
+import { useI18n } from '../hooks/useI18n'
+import { errorMessage } from '../lib/errors'
+import { dismissToast, getToasts, showToast, subscribeToasts } from '../lib/toast'
+import { cn } from '../lib/utils'
+import { Button } from './ui/button'
+
+const VARIANT = {
+  error: 'border-danger/60',
+  success: 'border-success/60',
+  info: 'border-border'
+}
+
+const ICON = { error: '⚠️', success: '✓', info: 'ℹ️' }
+
+/**
+ * Renders the toast queue in the bottom-right corner
+ * Also the last line of defence for promise rejections nobody handled, so they are at least visible
+ */
+export default function Toaster() {
+  const toasts = useSyncExternalStore(subscribeToasts, getToasts)
+  const { t } = useI18n()
+
+  useEffect(() => {
+    const onRejection = (e) => {
+      showToast({ variant: 'error', title: t('errors.unhandled'), description: errorMessage(t, e.reason), dedupeKey: 'unhandled' })
+    }
+    window.addEventListener('unhandledrejection', onRejection)
+    return () => window.removeEventListener('unhandledrejection', onRejection)
+  }, [t])
+
+  return (
+    <div className="pointer-events-none fixed bottom-4 right-4 z-50 flex w-[340px] flex-col gap-2" role="status" aria-live="polite">
+      {toasts.map(toast => (
+        <div key={toast.id} className={cn('pointer-events-auto flex gap-2.5 rounded-lg border-l-4 bg-card p-3 text-[13px] shadow-lg', VARIANT[toast.variant])}>
+          <span aria-hidden="true">{ICON[toast.variant]}</span>
+          <div className="min-w-0 flex-1">
+            <div className="font-semibold">{toast.title}</div>
+            {toast.description && <div className="mt-0.5 break-words text-xs text-muted-foreground">{toast.description}</div>}
+            {toast.action && (
+              <Button
+                variant="secondary"
+                size="sm"
+                className="mt-2 h-7 px-3 text-xs"
+                onClick={() => { toast.action.onClick(); dismissToast(toast.id) }}
+              >
+                {toast.action.label}
+              </Button>
+            )}
+          </div>
+          <button className="self-start text-muted-foreground hover:text-foreground" onClick={() => dismissToast(toast.id)} aria-label={t('toast.dismiss')}>✕</button>
+        </div>
+      ))}
+    </div>
+  )
+}
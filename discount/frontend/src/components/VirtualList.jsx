@@ -0,0 +1,96 @@
+import { useEffect, useLayoutEffect, useMemo, useRef, useState } from 'react'
+import { cn } from '../lib/utils'
+
+/**
+ * Scrollable list that only mounts the rows near the viewport
+ * Row heights are measured as they render (cards can expand), unmeasured rows use estimateHeight
+ * @param {object[]} items
+ * @param {(item) => string} getKey
+ * @param {(item) => JSX.Element} renderItem
+ */
+export default function VirtualList({ items, getKey, renderItem, estimateHeight = 160, gap = 10, overscan = 4, className }) {
+  const scrollRef = useRef(null)
+  const [scrollTop, setScrollTop] = useState(0)
+  const [viewport, setViewport] = useState(0)
+  const [heights, setHeights] = useState(() => new Map())
+
+  const observer = useMemo(() => new ResizeObserver(entries => {
+    setHeights(prev => {
+      let next = prev
+      for (const entry of entries) {
+        const key = entry.target.dataset.key
+        const height = entry.target.offsetHeight
+        if (prev.get(key) !== height) {
+          if (next === prev) next = new Map(prev)
+          next.set(key, height)
+        }
+      }
+      return next
+    })
+  }), [])
+  useEffect(() => () => observer.disconnect(), [observer])
+
+  useLayoutEffect(() => {
+    const el = scrollRef.current
+    const resize = new ResizeObserver(() => setViewport(el.clientHeight))
+    resize.observe(el)
+    return () => resize.disconnect()
+  }, [])
+
+  // Top offset of every row plus the total height
+  const { offsets, total } = useMemo(() => {
+    const offsets = []
+    let y = 0
+    for (const item of items) {
+      offsets.push(y)
+      y += (heights.get(getKey(item)) ?? estimateHeight) + gap
+    }
+    return { offsets, total: Math.max(0, y - gap) }
+  }, [items, heights, estimateHeight, gap])
+
+  let start = 0
+  let low = 0
+  let high = offsets.length - 1
+  while (low <= high) {
+    const mid = (low + high) >> 1
+    if (offsets[mid] <= scrollTop) {
+      start = mid
+      low = mid + 1
+    } else {
+      high = mid - 1
+    }
+  }
+  let end = start
+  while (end < items.length && offsets[end] < scrollTop + viewport) end++
+  start = Math.max(0, start - overscan)
+  end = Math.min(items.length, end + overscan)
+
+  return (
+    <div ref={scrollRef} className={cn('relative overflow-y-auto', className)} onScroll={e => setScrollTop(e.currentTarget.scrollTop)}>
+      <div className="relative" style={{ height: total }}>
+        {items.slice(start, end).map((item, i) => {
+          const key = getKey(item)
+          return (
+            <Row key={key} rowKey={key} observer={observer} top={offsets[start + i]}>
+              {renderItem(item)}
+            </Row>
+          )
+        })}
+      </div>
+    </div>
+  )
+}
+
+function Row({ rowKey, observer, top, children }) {
+  const ref = useRef(null)
+  useLayoutEffect(() => {
+    const el = ref.current
+    observer.observe(el)
+    return () => observer.unobserve(el)
+  }, [observer])
+  return (
+    <div ref={ref} data-key={rowKey} className="absolute inset-x-0" style={{ top }}>
+      {children}
+    </div>
+  )
+}
@@ -12,6 +12,8 @@ const Badge = React.forwardRef(({ className, variant = "default", ...props }, re
           "border-transparent bg-secondary text-secondary-foreground hover:bg-secondary/80": variant === "secondary",
           "border-transparent bg-destructive text-destructive-foreground hover:bg-destructive/80": variant === "destructive",
           "text-foreground": variant === "outline",
+          "border-transparent bg-success/15 text-success": variant === "success",
+          "border-transparent bg-warning/15 text-warning": variant === "warning",
         },
         className
       )}
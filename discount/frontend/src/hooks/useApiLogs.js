@@ -0,0 +1,42 @@
+import { useCallback, useEffect, useState } from 'react'
+import { createId } from '../lib/id'
+import { clearStoredLogs, extractKeys, loadLogs, MAX_STORED_LOGS, saveLog } from '../lib/logStore'
+
+/**
+ * API log entries kept in React state and mirrored to IndexedDB so they survive reloads
+ */
+export function useApiLogs() {
+  const [logs, setLogs] = useState([])
+
+  useEffect(() => {
+    let cancelled = false
+    loadLogs().then(stored => {
+      // Entries added before the load finished stay on top
+      if (!cancelled) setLogs(prev => [...prev, ...stored.filter(s => !prev.some(p => p.id === s.id))])
+    })
+    return () => { cancelled = true }
+  }, [])
+
+  /**
+   * @param {object} entry {type, method, url, body, response, status, duration, synthetic}
+   */
+  const addLog = useCallback(({ type, method, url, body = null, response = null, status, duration, synthetic = false }) => {
+    const now = new Date()
+    const entry = {
+      id: createId(),
+      timestamp: now.toISOString(),
+      time: now.toLocaleTimeString(),
+      type, method, url, body, response, status, duration, synthetic,
+      ...extractKeys(url, body)
+    }
+    setLogs(prev => [entry, ...prev].slice(0, MAX_STORED_LOGS))
+    saveLog(entry)
+  }, [])
+
+  const clearLogs = useCallback(() => {
+    setLogs([])
+    clearStoredLogs()
+  }, [])
+
+  return { logs, addLog, clearLogs }
+}
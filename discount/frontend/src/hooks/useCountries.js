@@ -0,0 +1,13 @@
+import { useEffect, useSyncExternalStore } from 'react'
+import { getCountries, loadCountries, subscribeCountries } from '../lib/countries'
+
+/**
+ * Supported countries from GET /countries, starting with the built-in list until the backend answers
+ * @returns {{name: string, vatRate: number|null}[]}
+ */
+export function useCountries() {
+  useEffect(() => {
+    loadCountries().catch(() => {})
+  }, [])
+  return useSyncExternalStore(subscribeCountries, getCountries)
+}
@@ -0,0 +1,10 @@
+import { useSyncExternalStore } from 'react'
+import { getLibrary, subscribeLibrary } from '../lib/discountLibrary'
+
+/**
+ * Saved discount definitions (see lib/discountLibrary.js)
+ * @returns {object[]}
+ */
+export function useDiscountLibrary() {
+  return useSyncExternalStore(subscribeLibrary, getLibrary)
+}
@@ -0,0 +1,16 @@
+import { useCallback, useSyncExternalStore } from 'react'
+import { formatPrice, getDisplayCurrency, priceParts, setDisplayCurrency, subscribeDisplayCurrency } from '../lib/format'
+
+/**
+ * Selected display currency plus price formatters bound to it
+ * @returns {{displayCurrency: string, setDisplayCurrency: Function, formatPrice: Function, priceParts: Function}}
+ */
+export function useDisplayCurrency() {
+  const displayCurrency = useSyncExternalStore(subscribeDisplayCurrency, getDisplayCurrency)
+  return {
+    displayCurrency,
+    setDisplayCurrency,
+    formatPrice: useCallback((amount, country, options) => formatPrice(amount, country, { displayCurrency, ...options }), [displayCurrency]),
+    priceParts: useCallback((amount, country, options) => priceParts(amount, country, { displayCurrency, ...options }), [displayCurrency])
+  }
+}
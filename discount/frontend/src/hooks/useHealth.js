@@ -0,0 +1,11 @@
+import { useSyncExternalStore } from 'react'
+import { canMutate, checkHealth, getHealth, subscribeHealth } from '../lib/health'
+
+/**
+ * Live backend status; mounting the hook anywhere keeps the monitor polling
+ * @returns {object} Monitor state plus {writable: boolean, checkNow: Function}
+ */
+export function useHealth() {
+  const health = useSyncExternalStore(subscribeHealth, getHealth)
+  return { ...health, writable: canMutate(health), checkNow: checkHealth }
+}
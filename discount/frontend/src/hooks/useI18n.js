@@ -0,0 +1,18 @@
+import { useCallback, useEffect, useSyncExternalStore } from 'react'
+import { getLanguageState, setLanguage, subscribeLanguage, translate } from '../lib/i18n'
+
+/**
+ * Active UI language and a translator bound to it
+ * @returns {{language: string, chosen: string, auto: string, setLanguage: Function, t: Function}}
+ */
+export function useI18n() {
+  const { chosen, auto } = useSyncExternalStore(subscribeLanguage, getLanguageState)
+  const language = chosen || auto
+
+  useEffect(() => {
+    document.documentElement.lang = language
+  }, [language])
+
+  const t = useCallback((key, params) => translate(language, key, params), [language])
+  return { language, chosen, auto, setLanguage, t }
+}
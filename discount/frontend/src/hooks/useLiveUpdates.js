@@ -0,0 +1,10 @@
+import { useSyncExternalStore } from 'react'
+import { getLiveUpdates, subscribeLiveUpdates } from '../lib/liveUpdates'
+
+/**
+ * Live product updates from the backend; using it keeps the event stream open
+ * @returns {{status: string, failures: number, nextAttempt: number|null, lastEvent: object|null, changed: object}}
+ */
+export function useLiveUpdates() {
+  return useSyncExternalStore(subscribeLiveUpdates, getLiveUpdates)
+}
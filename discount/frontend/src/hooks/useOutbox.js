@@ -0,0 +1,13 @@
+import { useEffect, useSyncExternalStore } from 'react'
+import { getOutbox, loadOutbox, subscribeOutbox } from '../lib/outbox'
+
+/**
+ * Queued and replayed discount applications, oldest first
+ * @returns {object[]}
+ */
+export function useOutbox() {
+  useEffect(() => {
+    loadOutbox()
+  }, [])
+  return useSyncExternalStore(subscribeOutbox, getOutbox)
+}
@@ -0,0 +1,20 @@
+import { useMemo } from 'react'
+import { DEFAULT_FILTERS, filtersToSearch, parseFilters } from '../lib/productFilter'
+import { navigate } from '../lib/router'
+import { useRoute } from './useRoute'
+
+/**
+ * Step 2 filters read from and written to the current URL's query string
+ * Changes replace the history entry, so typing in the search box doesn't flood the back button
+ * @returns {{filters: object, setFilters: (patch: object) => void, resetFilters: Function}}
+ */
+export function useProductFilters() {
+  const { search } = useRoute()
+  const filters = useMemo(() => parseFilters(search), [search])
+  const write = (next) => navigate(window.location.pathname + filtersToSearch(next), { replace: true })
+  return {
+    filters,
+    setFilters: (patch) => write({ ...filters, ...patch }),
+    resetFilters: () => write({ ...DEFAULT_FILTERS, sort: filters.sort, order: filters.order })
+  }
+}
@@ -0,0 +1,17 @@
+import { useMemo, useSyncExternalStore } from 'react'
+import { getProductState, subscribeProducts, withPending } from '../lib/productStore'
+
+const EMPTY = []
+
+/**
+ * Cached products for a country, with discounts still being sent shown as pending
+ * confirmed is the same list as the server last returned it, for anything that must not show unsent discounts (exports)
+ * @returns {{products: object[], confirmed: object[], status: 'idle'|'loading'|'ready'|'error', error: Error|null}}
+ */
+export function useProducts(country) {
+  const { lists, pending } = useSyncExternalStore(subscribeProducts, getProductState)
+  const list = lists[country]
+  const confirmed = list?.products ?? EMPTY
+  const products = useMemo(() => confirmed.map(p => withPending(p, pending[p.id])), [confirmed, pending])
+  return { products, confirmed, status: list?.status ?? 'idle', error: list?.error ?? null }
+}
@@ -0,0 +1,14 @@
+import { useMemo, useSyncExternalStore } from 'react'
+import { getLocation, matchRoute, subscribeLocation } from '../lib/router'
+
+/**
+ * Current route, re-rendering on navigation
+ * @returns {{name: string, params: object, search: URLSearchParams}}
+ */
+export function useRoute() {
+  const location = useSyncExternalStore(subscribeLocation, getLocation)
+  return useMemo(() => {
+    const url = new URL(location, window.location.origin)
+    return { ...matchRoute(url.pathname), search: url.searchParams }
+  }, [location])
+}
@@ -0,0 +1,12 @@
+import { useSyncExternalStore } from 'react'
+import { getThemePreference, resolveTheme, setThemePreference, subscribeTheme } from '../lib/theme'
+
+/**
+ * Theme preference and the theme actually shown
+ * @returns {{preference: string, theme: 'light'|'dark', setPreference: Function}}
+ */
+export function useTheme() {
+  const preference = useSyncExternalStore(subscribeTheme, getThemePreference)
+  const theme = useSyncExternalStore(subscribeTheme, () => resolveTheme())
+  return { preference, theme, setPreference: setThemePreference }
+}
@@ -0,0 +1,206 @@
+import { schemas, validate } from './schema'
+
+/**
+ * Error thrown for every failed API call
+ * kind is one of: 'http' (non-2xx status), 'network', 'timeout', 'parse', 'validation'
+ * For 'http' errors, message comes from the backend's {error} payload when present
+ */
+export class ApiError extends Error {
+  constructor(message, { kind = 'http', status = 0, body = null, supportedCountries = null, problems = [], cause } = {}) {
+    super(message, { cause })
+    this.name = 'ApiError'
+    this.kind = kind
+    this.status = status
+    this.body = body
+    this.supportedCountries = supportedCountries
+    this.problems = problems
+  }
+}
+
+// Gateway errors are worth retrying; PUT /discount is idempotent on discountId so this is safe for writes too
+const RETRYABLE_STATUS = new Set([502, 503, 504])
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+const parseBody = (text) => {
+  if (!text) return null
+  try {
+    return JSON.parse(text)
+  } catch {
+    return undefined
+  }
+}
+
+const toHttpError = (status, statusText, data, text) => {
+  if (data && typeof data.error === 'string') {
+    return new ApiError(data.error, {
+      status,
+      body: data,
+      supportedCountries: data.supportedCountries ?? null
+    })
+  }
+  const snippet = text ? `: ${text.slice(0, 120)}` : ''
+  return new ApiError(`HTTP ${status} ${statusText}${snippet}`.trim(), { status, body: data ?? text })
+}
+
+/**
+ * Create a client for the Discount API
+ * @param {object} options
+ * @param {string} options.baseUrl Prefix for every path (empty = same origin)
+ * @param {number} options.timeout Per-attempt timeout in ms
+ * @param {number} options.retries Extra attempts after network errors, timeouts and 502/503/504
+ * @param {number} options.retryDelay Initial backoff in ms, doubled after each attempt
+ * @param {Function} options.fetch fetch implementation (defaults to the global one)
+ */
+export function createApiClient({
+  baseUrl = '',
+  timeout = 10000,
+  retries = 2,
+  retryDelay = 300,
+  fetch: fetchImpl = (...args) => fetch(...args)
+} = {}) {
+  const listeners = new Set()
+
+  const emit = (exchange) => listeners.forEach(listener => listener(exchange))
+
+  const attempt = async (method, path, body, signal) => {
+    const controller = new AbortController()
+    const timer = setTimeout(() => controller.abort(new ApiError(`Request timed out after ${timeout}ms`, { kind: 'timeout' })), timeout)
+    const onAbort = () => controller.abort(signal.reason)
+    signal?.addEventListener('abort', onAbort)
+
+    try {
+      const res = await fetchImpl(`${baseUrl}${path}`, {
+        method,
+        headers: body !== undefined ? { 'Content-Type': 'application/json' } : undefined,
+        body: body !== undefined ? JSON.stringify(body) : undefined,
+        signal: controller.signal
+      })
+      const text = await res.text()
+      return { res, text, data: parseBody(text) }
+    } catch (e) {
+      if (controller.signal.reason instanceof ApiError) throw controller.signal.reason
+      if (signal?.aborted) throw e
+      throw new ApiError(`Network error: ${e.message}`, { kind: 'network', cause: e })
+    } finally {
+      clearTimeout(timer)
+      signal?.removeEventListener('abort', onAbort)
+    }
+  }
+
+  /**
+   * Send a request and return the parsed JSON body
+   * @param {string} method HTTP method
+   * @param {string} path Path relative to baseUrl, including query string
+   * @param {object} options
+   * @param {*} options.body JSON request body
+   * @param {object} options.schema OpenAPI schema the response must match
+   * @param {string} options.label Human-readable name passed to listeners
+   * @param {boolean} options.quiet Marks the exchange as not worth logging
+   * @param {AbortSignal} options.signal Cancels the request and any pending retries
+   * @param {boolean} options.fullResponse Resolve to {status, data} instead of just data
+   * @param {number} options.retries Overrides the client's retry count for this request
+   * @throws {ApiError}
+   */
+  const request = async (method, path, { body, schema, label = `${method} ${path}`, quiet = false, signal, fullResponse = false, retries: maxRetries = retries } = {}) => {
+    for (let i = 0; ; i++) {
+      const start = Date.now()
+      let result
+      let error
+      try {
+        result = await attempt(method, path, body, signal)
+        const { res, text, data } = result
+        if (!res.ok) {
+          error = toHttpError(res.status, res.statusText, data, text)
+        } else if (data === undefined) {
+          error = new ApiError('Response is not valid JSON', { kind: 'parse', status: res.status, body: text })
+        } else if (schema) {
+          const problems = validate(data, schema)
+          if (problems.length) {
+            error = new ApiError(`Unexpected response shape: ${problems[0]}`, { kind: 'validation', status: res.status, body: data, problems })
+          }
+        }
+      } catch (e) {
+        error = e
+      }
+
+      emit({
+        label, quiet, method, url: path, body: body ?? null, attempt: i + 1,
+        status: result?.res.status ?? 0,
+        response: result?.data ?? (error ? { error: error.message } : null),
+        duration: Date.now() - start,
+        error: error ?? null
+      })
+
+      if (!error) return fullResponse ? { status: result.res.status, data: result.data } : result.data
+
+      const retryable = error.kind === 'network' || error.kind === 'timeout' || RETRYABLE_STATUS.has(error.status)
+      if (!retryable || i >= maxRetries || signal?.aborted) throw error
+      await sleep(retryDelay * 2 ** i)
+    }
+  }
+
+  return {
+    request,
+
+    /**
+     * Listen to every request attempt ({label, method, url, body, status, response, duration, error})
+     * @returns {Function} Unsubscribe
+     */
+    subscribe(listener) {
+      listeners.add(listener)
+      return () => listeners.delete(listener)
+    },
+
+    /** GET /health */
+    health: (options) => request('GET', '/health', { label: 'Health', quiet: true, ...options }),
+
+    /** GET /db/status */
+    dbStatus: (options) => request('GET', '/db/status', { label: 'DB Status', quiet: true, ...options }),
+
+    /**
+     * GET /countries
+     * @returns {Promise<{name: string, vatRate: number}[]>} CountryResponse list
+     */
+    getCountries: (options) => request('GET', '/countries', {
+      label: 'GET Countries',
+      quiet: true,
+      schema: { type: 'array', items: schemas.CountryResponse },
+      ...options
+    }),
+
+    /**
+     * GET /products?country={country}
+     * @returns {Promise<object[]>} ProductResponse list
+     */
+    getProducts: (country, options) => request('GET', `/products?country=${encodeURIComponent(country)}`, {
+      label: 'GET Products',
+      schema: { type: 'array', items: schemas.ProductResponse },
+      ...options
+    }),
+
+    /**
+     * PUT /products/{id}/discount
+     * @returns {Promise<{message: string, product: object}>} ApplyDiscountResponse
+     */
+    applyDiscount: (productId, { discountId, percent }, options) => request('PUT', `/products/${encodeURIComponent(productId)}/discount`, {
+      label: 'Apply Discount',
+      body: { discountId, percent },
+      schema: schemas.ApplyDiscountResponse,
+      ...options
+    })
+  }
+}
+
+/** API root for the UI: VITE_API_BASE_URL, or empty for same origin (import.meta.env is Vite-only, so absent under node --test) */
+export const API_BASE_URL = import.meta.env?.VITE_API_BASE_URL ?? ''
+
+/**
+ * Absolute URL for a path the shared client requested (log entries keep the path only)
+ * Relative bases resolve against the page origin
+ */
+export const resolveApiUrl = (path, base = API_BASE_URL) =>
+  new URL(`${base}${path}`, globalThis.location?.origin ?? 'http://localhost:8082').toString()
+
+/** Shared client used by the UI */
+export const api = createApiClient({ baseUrl: API_BASE_URL })
@@ -0,0 +1,137 @@
+import { parseCsv, toCsv } from './csv'
+import { calculateFinalPrice, findVatRate } from './pricing'
+import { checkDiscountId, checkPercent, normalizeDiscountId } from './validation'
+
+const FIELDS = ['productId', 'discountId', 'percent']
+const REPORT_COLUMNS = ['line', 'productId', 'discountId', 'percent', 'action', 'outcome', 'message', 'finalPrice']
+
+/**
+ * Thrown when an uploaded file can't be read; key and params are the locale message for the UI
+ */
+export class CampaignFileError extends Error {
+  constructor(message, key, params = {}) {
+    super(message)
+    this.name = 'CampaignFileError'
+    this.key = key
+    this.params = params
+  }
+}
+
+/**
+ * Parse an uploaded campaign file into raw rows
+ * CSV needs a header row naming productId, discountId and percent (any order, case-insensitive);
+ * JSON may be an array of {productId, discountId, percent} or {rows: [...]}
+ * @param {string} filename Used to pick the format (.json, otherwise CSV)
+ * @param {string} text File contents
+ * @returns {{line: number, productId: string, discountId: string, percent: *}[]}
+ * @throws {CampaignFileError} when the file can't be read as either format
+ */
+export function parseCampaignFile(filename, text) {
+  if (filename.toLowerCase().endsWith('.json')) {
+    let data
+    try {
+      data = JSON.parse(text)
+    } catch (e) {
+      throw new CampaignFileError(`Invalid JSON: ${e.message}`, 'import.file.invalidJson', { detail: e.message })
+    }
+    const list = Array.isArray(data) ? data : data?.rows
+    if (!Array.isArray(list)) throw new CampaignFileError('JSON must be an array of {productId, discountId, percent} objects', 'import.file.notArray')
+    return list.map((r, i) => ({
+      line: i + 1,
+      productId: String(r?.productId ?? '').trim(),
+      discountId: normalizeDiscountId(r?.discountId),
+      percent: r?.percent
+    }))
+  }
+
+  const [header, ...body] = parseCsv(text)
+  if (!header) throw new CampaignFileError('File is empty', 'import.file.empty')
+  const columns = header.map(h => h.trim().toLowerCase())
+  const index = Object.fromEntries(FIELDS.map(f => [f, columns.indexOf(f.toLowerCase())]))
+  const missing = FIELDS.filter(f => index[f] === -1)
+  if (missing.length) throw new CampaignFileError(`Missing CSV column(s): ${missing.join(', ')}`, 'import.file.missingColumns', { columns: missing.join(', ') })
+
+  return body.map((cells, i) => ({
+    line: i + 2,
+    productId: (cells[index.productId] ?? '').trim(),
+    discountId: normalizeDiscountId(cells[index.discountId]),
+    percent: cells[index.percent]
+  }))
+}
+
+/**
+ * Validate rows with the PUT /products/{id}/discount rules and compute the dry-run action for each
+ * - invalid: discountId or percent breaking the server's rules (lib/validation.js), unknown product,
+ *           or duplicate of an earlier row
+ * - skip:    discountId already on the product (the server would answer "Discount already applied")
+ * - apply:   would add a new discount
+ * @param {object[]} rows Output of parseCampaignFile
+ * @param {Map<string, object>} productsById Catalog across all countries
+ * @returns {object[]} Rows with {percent: number, errors: {key, params}[], action, note: {key, params}|null, product,
+ *          priceBefore, priceAfter}; errors and notes are locale keys for t(). Prices accumulate when several rows
+ *          target the same product, and stay null when the product's VAT rate is unknown
+ */
+export function planCampaign(rows, productsById) {
+  const seen = new Set()
+  const pending = new Map()
+
+  return rows.map(row => {
+    const errors = []
+    const raw = typeof row.percent === 'number' ? row.percent : String(row.percent ?? '').trim()
+    const percent = raw === '' ? NaN : Number(raw)
+    const product = productsById.get(row.productId)
+
+    // Same rules as the Step 3 form
+    for (const problem of [checkDiscountId(row.discountId), checkPercent(raw)]) {
+      if (problem) errors.push(problem)
+    }
+    if (!row.productId) errors.push({ key: 'import.errors.productRequired', params: {} })
+    else if (!product) errors.push({ key: 'import.errors.productNotFound', params: { id: row.productId } })
+
+    const key = `${row.productId}::${row.discountId}`
+    if (seen.has(key)) errors.push({ key: 'import.errors.duplicateRow', params: {} })
+    seen.add(key)
+
+    const existing = product?.discounts.find(d => d.discountId === row.discountId)
+    const action = errors.length ? 'invalid' : existing ? 'skip' : 'apply'
+    const note = existing && existing.percent !== percent
+      ? { key: 'import.note.percentIgnored', params: { percent: existing.percent } }
+      : existing ? { key: 'import.note.alreadyApplied', params: {} } : null
+
+    let priceBefore = null
+    let priceAfter = null
+    if (product && findVatRate(product.country) != null) {
+      const discounts = pending.get(product.id) ?? product.discounts
+      priceBefore = calculateFinalPrice({ ...product, discounts })
+      if (action === 'apply') {
+        pending.set(product.id, [...discounts, { discountId: row.discountId, percent }])
+        priceAfter = calculateFinalPrice({ ...product, discounts: pending.get(product.id) })
+      } else {
+        priceAfter = priceBefore
+      }
+    }
+
+    return { ...row, percent, errors, action, note, product: product ?? null, priceBefore, priceAfter }
+  })
+}
+
+/**
+ * Result report for download
+ * @param {object[]} plan Output of planCampaign, with optional {outcome, message} from applying
+ * @param {'csv'|'json'} format
+ * @param {Function} t Translates the rows' errors and notes, e.g. useI18n().t
+ */
+export function campaignReport(plan, format, t) {
+  const records = plan.map(r => ({
+    line: r.line,
+    productId: r.productId,
+    discountId: r.discountId,
+    percent: Number.isNaN(r.percent) ? '' : r.percent,
+    action: r.action,
+    outcome: r.outcome ?? { invalid: 'not sent', skip: 'skipped', apply: 'pending' }[r.action],
+    message: r.message ?? (r.errors.map(e => t(e.key, e.params)).join('; ') || (r.note ? t(r.note.key, r.note.params) : '')),
+    finalPrice: r.finalPrice ?? ''
+  }))
+  if (format === 'json') return JSON.stringify(records, null, 2)
+  return toCsv(records, REPORT_COLUMNS.map(key => ({ key })))
+}
@@ -0,0 +1,21 @@
+import { api } from './api'
+import { loadCountries } from './countries'
+
+/**
+ * Fetch every supported country's products in parallel
+ * @param {object} options Passed to api.getProducts (e.g. {quiet: true})
+ * @returns {Promise<{country: string, products: object[]}[]>}
+ */
+export async function loadCatalog(options) {
+  const names = (await loadCountries()).map(c => c.name)
+  const lists = await Promise.all(names.map(c => api.getProducts(c, options)))
+  return names.map((country, i) => ({ country, products: lists[i] }))
+}
+
+/**
+ * Index a catalog by product ID
+ * @returns {Map<string, object>}
+ */
+export function indexCatalog(catalog) {
+  return new Map(catalog.flatMap(({ products }) => products.map(p => [p.id, p])))
+}
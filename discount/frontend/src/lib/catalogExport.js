@@ -0,0 +1,50 @@
+import { toCsv } from './csv'
+import { calculateTotalDiscountPercent, findVatRate, roundToCents } from './pricing'
+
+const CSV_COLUMNS = [
+  { key: 'id' },
+  { key: 'name' },
+  { key: 'country' },
+  { key: 'basePrice' },
+  { key: 'vatRate' },
+  { key: 'discounts', value: r => r.discounts.map(d => `${d.discountId}:${d.percent}`).join(';') },
+  { key: 'totalDiscountPercent' },
+  { key: 'finalPrice' }
+]
+
+/**
+ * Flatten products into export records (one per product, discounts kept as an array)
+ * vatRate is the exact decimal rate from GET /countries (null when unknown), not the rounded label percentage
+ */
+export function toExportRecords(products) {
+  return products.map(p => ({
+    id: p.id,
+    name: p.name,
+    country: p.country,
+    basePrice: p.basePrice,
+    vatRate: findVatRate(p.country),
+    discounts: p.discounts.map(d => ({ discountId: d.discountId, percent: d.percent })),
+    totalDiscountPercent: roundToCents(calculateTotalDiscountPercent(p.discounts)),
+    finalPrice: p.finalPrice
+  }))
+}
+
+/**
+ * CSV with one row per product; discounts are written as "CODE:percent;CODE:percent"
+ */
+export function catalogToCsv(products) {
+  return toCsv(toExportRecords(products), CSV_COLUMNS)
+}
+
+/**
+ * JSON document with export metadata and the product records
+ * @param {object[]} products
+ * @param {string[]} countries Countries included in the export
+ */
+export function catalogToJson(products, countries) {
+  return JSON.stringify({
+    exportedAt: new Date().toISOString(),
+    countries,
+    products: toExportRecords(products)
+  }, null, 2)
+}
@@ -0,0 +1,96 @@
+import { api } from './api'
+
+/**
+ * Display metadata per country; anything the backend adds later falls back to DEFAULT_METADATA
+ * until an entry is added here
+ */
+export const COUNTRY_METADATA = {
+  sweden: { flag: '🇸🇪', currency: 'SEK', locale: 'sv-SE', language: 'sv' },
+  germany: { flag: '🇩🇪', currency: 'EUR', locale: 'de-DE', language: 'de' },
+  france: { flag: '🇫🇷', currency: 'EUR', locale: 'fr-FR', language: 'fr' }
+}
+
+const DEFAULT_METADATA = { flag: '🏳️', currency: 'EUR', locale: 'en-GB', language: 'en' }
+
+// Used until GET /countries answers, and as VAT source for backends that predate that endpoint
+const INITIAL_COUNTRIES = [
+  { name: 'Sweden', vatRate: 0.25 },
+  { name: 'Germany', vatRate: 0.19 },
+  { name: 'France', vatRate: 0.20 }
+]
+
+let countries = INITIAL_COUNTRIES
+let loading = null
+const listeners = new Set()
+
+/** Current country list ({name, vatRate}), in backend order; vatRate is null when it isn't known */
+export const getCountries = () => countries
+
+/** Replace the country list and notify subscribers */
+export function setCountries(list) {
+  countries = list
+  listeners.forEach(listener => listener())
+}
+
+/**
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeCountries(listener) {
+  listeners.add(listener)
+  return () => listeners.delete(listener)
+}
+
+/** Case-insensitive lookup, like VatService.getVatRate */
+export function findCountry(name) {
+  const key = String(name).trim().toLowerCase()
+  return countries.find(c => c.name.toLowerCase() === key) ?? null
+}
+
+/** Flag, currency, locale and language for a country name */
+export function getCountryMeta(name) {
+  return COUNTRY_METADATA[String(name).trim().toLowerCase()] ?? DEFAULT_METADATA
+}
+
+// GET /countries is missing: a 404 from the backend itself, or the SPA fallback (index.html served by the static host
+// or dev proxy) which fails as a parse or validation error
+const isMissingEndpoint = (e) => e.kind === 'parse' || e.kind === 'validation' || e.status === 404
+
+/**
+ * Ask the backend which countries it supports
+ * Older backends have no GET /countries; their 400 for an unknown country still lists supportedCountries,
+ * and VAT rates are then taken from the built-in list. Countries it doesn't know get vatRate: null
+ * @returns {Promise<{name: string, vatRate: number|null}[]>}
+ */
+export async function fetchCountries(options) {
+  try {
+    return await api.getCountries(options)
+  } catch (e) {
+    if (!isMissingEndpoint(e)) throw e
+  }
+  try {
+    await api.getProducts('_', { quiet: true, ...options })
+  } catch (e) {
+    if (!e.supportedCountries) throw e
+    return e.supportedCountries.map(name =>
+      INITIAL_COUNTRIES.find(c => c.name.toLowerCase() === name.toLowerCase()) ?? { name, vatRate: null }
+    )
+  }
+  return countries
+}
+
+/**
+ * Load the country list once per page; later calls share the same promise
+ * On failure the built-in list stays in place and the next call tries again
+ */
+export function loadCountries() {
+  loading ??= fetchCountries()
+    .then(list => {
+      setCountries(list)
+      return list
+    })
+    .catch(e => {
+      loading = null
+      throw e
+    })
+  return loading
+}
@@ -0,0 +1,61 @@
+/**
+ * Parse CSV text (RFC 4180: quoted fields, escaped quotes, CRLF or LF line endings)
+ * @returns {string[][]} Rows of raw cell strings; fully empty lines are dropped
+ */
+export function parseCsv(text) {
+  const rows = []
+  let row = []
+  let cell = ''
+  let quoted = false
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i]
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"'
+        i++
+      } else if (ch === '"') {
+        quoted = false
+      } else {
+        cell += ch
+      }
+    } else if (ch === '"') {
+      quoted = true
+    } else if (ch === ',') {
+      row.push(cell)
+      cell = ''
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++
+      row.push(cell)
+      rows.push(row)
+      row = []
+      cell = ''
+    } else {
+      cell += ch
+    }
+  }
+  row.push(cell)
+  rows.push(row)
+
+  return rows.filter(r => r.some(c => c.trim() !== ''))
+}
+
+// Spreadsheets run text starting with one of these as a formula, so such strings get a leading '
+const FORMULA_START = /^[=+\-@]/
+
+const escapeCell = (value) => {
+  let s = value == null ? '' : String(value)
+  if (typeof value === 'string' && FORMULA_START.test(s)) s = `'${s}`
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s
+}
+
+/**
+ * Serialize objects to CSV
+ * @param {object[]} records
+ * @param {{key: string, label?: string, value?: (record) => *}[]} columns Column order, headers and accessors
+ */
+export function toCsv(records, columns) {
+  const header = columns.map(c => escapeCell(c.label ?? c.key)).join(',')
+  const lines = records.map(r => columns.map(c => escapeCell(c.value ? c.value(r) : r[c.key])).join(','))
+  return [header, ...lines].join('\r\n') + '\r\n'
+}
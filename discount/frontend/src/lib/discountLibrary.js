@@ -0,0 +1,139 @@
+import { createId } from './id'
+import { checkDiscountId, checkPercent } from './validation'
+
+/**
+ * Discount library: reusable discount definitions kept in localStorage
+ * A definition is {id, code, percent, name, description, tags, countries, validFrom, validTo, updatedAt}
+ * - countries: intended country names; empty means every country
+ * - validFrom / validTo: inclusive 'YYYY-MM-DD' dates in local time, either may be null (open-ended)
+ * The backend has no notion of these; they only decide which definitions the Step 3 form and bulk apply offer
+ */
+
+const STORAGE_KEY = 'discount-ui-library'
+
+// First run starts with the codes the quick-fill buttons used to offer
+const STARTER_DEFINITIONS = [
+  { code: 'SUMMER24', percent: 15, name: 'Summer sale', tags: ['seasonal'] },
+  { code: 'FLASH_SALE', percent: 10, name: 'Flash sale', tags: ['promo'] },
+  { code: 'VIP_DEAL', percent: 25, name: 'VIP customers', tags: ['loyalty'] }
+].map((d, i) => ({ id: `starter-${i + 1}`, description: '', countries: [], validFrom: null, validTo: null, updatedAt: 0, ...d }))
+
+let definitions = readLibrary()
+const listeners = new Set()
+
+function readLibrary() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY))
+    return Array.isArray(stored) ? stored : STARTER_DEFINITIONS
+  } catch {
+    return STARTER_DEFINITIONS
+  }
+}
+
+const update = (next) => {
+  definitions = next
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(definitions))
+  } catch {
+    // Storage full or disabled: changes last for this page only
+  }
+  listeners.forEach(listener => listener())
+}
+
+/** All definitions, in the order they were created */
+export const getLibrary = () => definitions
+
+/**
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeLibrary(listener) {
+  listeners.add(listener)
+  return () => listeners.delete(listener)
+}
+
+/** Today as 'YYYY-MM-DD' in local time, the format of <input type="date"> */
+export function todayKey(date = new Date()) {
+  const pad = (n) => String(n).padStart(2, '0')
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`
+}
+
+/**
+ * Where a definition's validity window stands on a day
+ * @returns {'scheduled'|'active'|'expired'}
+ */
+export function definitionStatus(definition, day = todayKey()) {
+  if (definition.validFrom && day < definition.validFrom) return 'scheduled'
+  if (definition.validTo && day > definition.validTo) return 'expired'
+  return 'active'
+}
+
+/**
+ * Definitions that can be picked now, optionally only those intended for a country
+ * @param {object[]} list
+ * @param {{country?: string, day?: string}} options
+ */
+export function availableDefinitions(list, { country = null, day = todayKey() } = {}) {
+  const key = country?.toLowerCase()
+  return list.filter(d =>
+    definitionStatus(d, day) === 'active' &&
+    (!key || d.countries.length === 0 || d.countries.some(c => c.toLowerCase() === key))
+  )
+}
+
+/** Tags as entered in a comma-separated field: trimmed, lower-cased, without blanks or repeats */
+export const parseTags = (text) => [...new Set(text.split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean))]
+
+/**
+ * Check a definition before saving
+ * The code and percent follow the server's rules (lib/validation.js); codes are unique within the library
+ * @returns {object} {field: {key, params}} for each problem, empty when the definition can be saved
+ */
+export function validateDefinition(definition, list = definitions) {
+  const errors = {}
+  const codeProblem = checkDiscountId(definition.code)
+  const percentProblem = checkPercent(definition.percent)
+  if (codeProblem) errors.code = codeProblem
+  else if (list.some(d => d.code === definition.code && d.id !== definition.id)) {
+    errors.code = { key: 'library.errors.duplicateCode', params: { code: definition.code } }
+  }
+  if (percentProblem) errors.percent = percentProblem
+  if (!definition.name?.trim()) errors.name = { key: 'library.errors.nameRequired', params: {} }
+  if (definition.validFrom && definition.validTo && definition.validTo < definition.validFrom) {
+    errors.validTo = { key: 'library.errors.windowOrder', params: {} }
+  }
+  return errors
+}
+
+/**
+ * Create a definition (no id) or replace the one with the same id
+ * @returns {object} The stored definition
+ * @throws {Error} when validateDefinition finds a problem; callers are expected to check first
+ */
+export function saveDefinition(definition) {
+  if (Object.keys(validateDefinition(definition)).length > 0) throw new Error(`Invalid discount definition: ${definition.code}`)
+  const stored = {
+    description: '',
+    tags: [],
+    countries: [],
+    validFrom: null,
+    validTo: null,
+    ...definition,
+    id: definition.id ?? createId(),
+    name: definition.name.trim(),
+    percent: Number(definition.percent),
+    updatedAt: Date.now()
+  }
+  const exists = definitions.some(d => d.id === stored.id)
+  update(exists ? definitions.map(d => d.id === stored.id ? stored : d) : [...definitions, stored])
+  return stored
+}
+
+export function removeDefinition(id) {
+  update(definitions.filter(d => d.id !== id))
+}
+
+/** Put a removed definition back where it was (undo) */
+export function restoreDefinition(definition, index) {
+  if (definitions.some(d => d.id === definition.id)) return
+  update([...definitions.slice(0, index), definition, ...definitions.slice(index)])
+}
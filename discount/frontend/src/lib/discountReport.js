@@ -0,0 +1,132 @@
+import { getCountryMeta } from './countries'
+import { toCsv } from './csv'
+import { convertAmount } from './format'
+import { calculateTotalDiscountPercent, findVatRate, roundToCents } from './pricing'
+
+/**
+ * Cross-country discount usage, pivoted by discountId
+ * Savings are what customers pay less including VAT. A product's discounts compound, so each code is credited
+ * with the step it takes off the running price, in the order the product lists them (as priceBreakdown shows);
+ * the steps of one product add up to its total saving. Amounts are converted to EUR with the bundled rates.
+ * Countries listed without a VAT rate are credited their savings before VAT.
+ */
+
+const REPORT_CURRENCY = 'EUR'
+
+const CSV_COLUMNS = [
+  { key: 'discountId' },
+  { key: 'productId' },
+  { key: 'productName' },
+  { key: 'country' },
+  { key: 'percent' },
+  { key: 'savings' },
+  { key: 'currency' },
+  { key: 'savingsEur' }
+]
+
+const toEur = (amount, country) => convertAmount(amount, getCountryMeta(country).currency, REPORT_CURRENCY) ?? 0
+
+/**
+ * Saving per discount of one product, in the product's currency
+ * @returns {{discountId: string, percent: number, savings: number}[]}
+ */
+export function discountSavings(product) {
+  const grossFactor = 1 + (findVatRate(product.country) ?? 0)
+  let running = product.basePrice
+  return product.discounts.map(d => {
+    const before = running
+    running = running * (1 - d.percent / 100)
+    return { discountId: d.discountId, percent: d.percent, savings: (before - running) * grossFactor }
+  })
+}
+
+/**
+ * @param {{country: string, products: object[]}[]} catalog From loadCatalog
+ * @returns {{
+ *   codes: {discountId, productCount, savingsEur, byCountry: {[country]: {productCount, savingsEur}}, products: object[]}[],
+ *   countries: {country, productCount, discountedCount, averageDiscountPercent, savingsEur}[],
+ *   undiscounted: object[],
+ *   totals: {products, discounted, codes, savingsEur}
+ * }}
+ *   codes are sorted by savingsEur, largest first; averageDiscountPercent is the mean effective (compound)
+ *   discount over all of the country's products, undiscounted ones counting as 0
+ */
+export function buildDiscountReport(catalog) {
+  const codes = new Map()
+  const countries = []
+  const undiscounted = []
+
+  for (const { country, products } of catalog) {
+    let savingsEur = 0
+    let percentSum = 0
+
+    for (const product of products) {
+      percentSum += calculateTotalDiscountPercent(product.discounts)
+      if (product.discounts.length === 0) undiscounted.push(product)
+
+      for (const { discountId, percent, savings } of discountSavings(product)) {
+        const eur = toEur(savings, country)
+        savingsEur += eur
+        if (!codes.has(discountId)) codes.set(discountId, { discountId, productCount: 0, savingsEur: 0, byCountry: {}, products: [] })
+        const code = codes.get(discountId)
+        const entry = code.byCountry[country] ?? { productCount: 0, savingsEur: 0 }
+        code.byCountry[country] = { productCount: entry.productCount + 1, savingsEur: entry.savingsEur + eur }
+        code.productCount += 1
+        code.savingsEur += eur
+        code.products.push({ id: product.id, name: product.name, country, percent, savings, savingsEur: eur })
+      }
+    }
+
+    countries.push({
+      country,
+      productCount: products.length,
+      discountedCount: products.length - products.filter(p => p.discounts.length === 0).length,
+      averageDiscountPercent: products.length ? percentSum / products.length : 0,
+      savingsEur
+    })
+  }
+
+  const codeList = [...codes.values()].sort((a, b) => b.savingsEur - a.savingsEur || a.discountId.localeCompare(b.discountId))
+  const productCount = countries.reduce((sum, c) => sum + c.productCount, 0)
+  return {
+    codes: codeList,
+    countries,
+    undiscounted,
+    totals: {
+      products: productCount,
+      discounted: productCount - undiscounted.length,
+      codes: codeList.length,
+      savingsEur: countries.reduce((sum, c) => sum + c.savingsEur, 0)
+    }
+  }
+}
+
+/**
+ * CSV with a row per applied discount (code × product), then a row per product without discounts
+ * (empty discountId), so the file covers the whole catalog
+ */
+export function reportToCsv(report) {
+  const rows = [
+    ...report.codes.flatMap(code => code.products.map(p => ({
+      discountId: code.discountId,
+      productId: p.id,
+      productName: p.name,
+      country: p.country,
+      percent: p.percent,
+      savings: roundToCents(p.savings),
+      currency: getCountryMeta(p.country).currency,
+      savingsEur: roundToCents(p.savingsEur)
+    }))),
+    ...report.undiscounted.map(p => ({
+      discountId: '',
+      productId: p.id,
+      productName: p.name,
+      country: p.country,
+      percent: 0,
+      savings: 0,
+      currency: getCountryMeta(p.country).currency,
+      savingsEur: 0
+    }))
+  ]
+  return toCsv(rows, CSV_COLUMNS)
+}
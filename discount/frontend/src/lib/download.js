@@ -0,0 +1,23 @@
+/**
+ * Save text content as a file through a temporary object URL
+ * @param {string} filename Suggested file name
+ * @param {string} content File body
+ * @param {string} type MIME type
+ */
+export function downloadFile(filename, content, type = 'text/plain') {
+  const url = URL.createObjectURL(new Blob([content], { type }))
+  const a = document.createElement('a')
+  a.href = url
+  a.download = filename
+  document.body.appendChild(a)
+  a.click()
+  a.remove()
+  setTimeout(() => URL.revokeObjectURL(url), 0)
+}
+
+/**
+ * Timestamp for file names, e.g. 2024-06-01T12-30-00
+ */
+export function fileTimestamp(date = new Date()) {
+  return date.toISOString().slice(0, 19).replace(/:/g, '-')
+}
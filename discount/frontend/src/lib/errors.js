@@ -0,0 +1,55 @@
+/**
+ * Turn anything thrown by an API call (ApiError, AbortError, plain Error) into a message the UI can translate
+ * Known backend {error} payloads get their own message; unknown 4xx messages are shown as the backend wrote them
+ */
+
+// Backend messages (see Application.kt, VatService.kt, ProductRepository.kt) → locale keys
+const BACKEND_MESSAGES = [
+  [/^Product (with ID '.*' )?not found/, 'errors.productNotFound'],
+  [/^Unsupported country/, 'errors.unsupportedCountry'],
+  [/^Country parameter is required/, 'errors.countryRequired'],
+  [/^Discount ID cannot be empty/, 'errors.discountIdEmpty'],
+  [/^Discount ID must be at most/, 'errors.discountIdTooLong'],
+  [/^Discount percent must be between/, 'errors.percentRange'],
+  [/^(Failed to |Internal server error)/, 'errors.server']
+]
+
+const KIND_MESSAGES = {
+  network: 'errors.network',
+  timeout: 'errors.timeout',
+  parse: 'errors.parse',
+  validation: 'errors.validation'
+}
+
+/**
+ * @param {*} error
+ * @returns {{key: string|null, params: object, detail: string, retryable: boolean}}
+ *          key is null when detail should be shown as is
+ */
+export function describeError(error) {
+  const detail = error?.message ?? String(error)
+
+  if (error?.name === 'AbortError') return { key: 'errors.aborted', params: {}, detail, retryable: true }
+
+  const kindKey = KIND_MESSAGES[error?.kind]
+  if (kindKey) return { key: kindKey, params: {}, detail, retryable: error.kind !== 'validation' }
+
+  if (error?.name === 'ApiError') {
+    const status = error.status
+    const match = BACKEND_MESSAGES.find(([pattern]) => pattern.test(detail))
+    if (match) return { key: match[1], params: { status }, detail, retryable: status >= 500 }
+    if (status >= 500) return { key: 'errors.server', params: { status }, detail, retryable: true }
+    return { key: null, params: {}, detail, retryable: false }
+  }
+
+  return { key: 'errors.unexpected', params: {}, detail, retryable: false }
+}
+
+/**
+ * Translated, user-facing message for an error
+ * @param {Function} t Translator from useI18n
+ */
+export function errorMessage(t, error) {
+  const { key, params, detail } = describeError(error)
+  return key ? t(key, params) : detail
+}
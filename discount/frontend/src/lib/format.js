@@ -0,0 +1,103 @@
+import exchangeRates from '../data/exchangeRates.json'
+import { getCountryMeta } from './countries'
+
+/** Exchange-rate table bundled with the app ({base, updated, rates}); edit data/exchangeRates.json to change it */
+export const EXCHANGE_RATES = exchangeRates
+
+/** Currencies the display switch can convert to */
+export const DISPLAY_CURRENCIES = Object.keys(exchangeRates.rates)
+
+const STORAGE_KEY = 'discount-ui-display-currency'
+
+const formatters = new Map()
+
+/**
+ * Format an amount with Intl.NumberFormat; formatters are cached per locale/currency/digits
+ * @param {number} amount
+ * @param {string} currency ISO 4217 code (e.g. 'SEK')
+ * @param {string} locale BCP 47 tag (e.g. 'sv-SE')
+ * @param {number} fractionDigits Decimals to show (2 unless showing intermediate values)
+ */
+export function formatMoney(amount, currency, locale, fractionDigits = 2) {
+  const key = `${locale}|${currency}|${fractionDigits}`
+  if (!formatters.has(key)) {
+    formatters.set(key, new Intl.NumberFormat(locale, {
+      style: 'currency',
+      currency,
+      minimumFractionDigits: fractionDigits,
+      maximumFractionDigits: fractionDigits
+    }))
+  }
+  return formatters.get(key).format(amount)
+}
+
+/**
+ * Convert between two currencies of the table via its base currency
+ * @returns {number|null} null when either currency is missing from the table
+ */
+export function convertAmount(amount, from, to, table = EXCHANGE_RATES) {
+  if (from === to) return amount
+  const fromRate = table.rates[from]
+  const toRate = table.rates[to]
+  if (!fromRate || !toRate) return null
+  return (amount / fromRate) * toRate
+}
+
+/**
+ * Price in the country's own currency, plus the converted amount when a different display currency is chosen
+ * @param {number} amount Price as returned by the API (in the country's currency)
+ * @param {string} country Product country
+ * @param {object} options
+ * @param {string} options.displayCurrency Currency to convert to ('' = none)
+ * @param {number} options.fractionDigits
+ * @returns {{original: string, converted: string|null}}
+ */
+export function priceParts(amount, country, { displayCurrency = '', fractionDigits = 2 } = {}) {
+  const { currency, locale } = getCountryMeta(country)
+  const original = formatMoney(amount, currency, locale, fractionDigits)
+  if (!displayCurrency || displayCurrency === currency) return { original, converted: null }
+  const value = convertAmount(amount, currency, displayCurrency)
+  return { original, converted: value === null ? null : formatMoney(value, displayCurrency, locale, fractionDigits) }
+}
+
+/**
+ * Single-string form of priceParts: "1 234,00 kr (≈ 110,97 €)"
+ */
+export function formatPrice(amount, country, options) {
+  const { original, converted } = priceParts(amount, country, options)
+  return converted ? `${original} (≈ ${converted})` : original
+}
+
+let displayCurrency = readDisplayCurrency()
+const listeners = new Set()
+
+function readDisplayCurrency() {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY) ?? ''
+    return DISPLAY_CURRENCIES.includes(stored) ? stored : ''
+  } catch {
+    return ''
+  }
+}
+
+/** Currently selected display currency ('' = original currency only) */
+export const getDisplayCurrency = () => displayCurrency
+
+/** Change the display currency, remember it across reloads and notify subscribers */
+export function setDisplayCurrency(currency) {
+  displayCurrency = DISPLAY_CURRENCIES.includes(currency) ? currency : ''
+  try {
+    localStorage.setItem(STORAGE_KEY, displayCurrency)
+  } catch {
+    // Private mode or storage disabled: the choice lasts for this page only
+  }
+  listeners.forEach(listener => listener())
+}
+
+/**
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeDisplayCurrency(listener) {
+  listeners.add(listener)
+  return () => listeners.delete(listener)
+}
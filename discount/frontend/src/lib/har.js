@@ -0,0 +1,60 @@
+import { API_BASE_URL, resolveApiUrl } from './api'
+
+const JSON_HEADER = { name: 'Content-Type', value: 'application/json' }
+
+const queryString = (url) => [...new URL(url).searchParams].map(([name, value]) => ({ name, value }))
+
+/**
+ * Convert API log entries to a HAR 1.2 document
+ * Synthetic entries (e.g. load-test summaries) have no single request behind them and are left out
+ * @param {object[]} logs Entries from the log store, any order
+ * @param {string} base API root the logged paths are relative to
+ */
+export function toHar(logs, base = API_BASE_URL) {
+  const entries = logs
+    .filter(log => !log.synthetic)
+    .sort((a, b) => a.timestamp.localeCompare(b.timestamp))
+    .map(log => {
+      const url = resolveApiUrl(log.url, base)
+      const requestText = log.body != null ? JSON.stringify(log.body) : null
+      const responseText = log.response != null ? JSON.stringify(log.response) : ''
+      return {
+        startedDateTime: log.timestamp,
+        time: log.duration,
+        request: {
+          method: log.method,
+          url,
+          httpVersion: 'HTTP/1.1',
+          cookies: [],
+          headers: requestText ? [JSON_HEADER] : [],
+          queryString: queryString(url),
+          ...(requestText && { postData: { mimeType: 'application/json', text: requestText } }),
+          headersSize: -1,
+          bodySize: requestText ? requestText.length : 0
+        },
+        response: {
+          status: log.status,
+          statusText: '',
+          httpVersion: 'HTTP/1.1',
+          cookies: [],
+          headers: [JSON_HEADER],
+          content: { size: responseText.length, mimeType: 'application/json', text: responseText },
+          redirectURL: '',
+          headersSize: -1,
+          bodySize: responseText.length
+        },
+        cache: {},
+        timings: { send: 0, wait: log.duration, receive: 0 },
+        comment: log.type
+      }
+    })
+
+  return {
+    log: {
+      version: '1.2',
+      creator: { name: 'Discount API UI', version: '1.0.0' },
+      pages: [],
+      entries
+    }
+  }
+}
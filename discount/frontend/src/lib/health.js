@@ -0,0 +1,152 @@
+import { api } from './api'
+
+/**
+ * Backend monitor: polls GET /health and GET /db/status while anything is subscribed
+ * Checks run every POLL_INTERVAL while the backend answers; after a failure the delay starts at
+ * RETRY_DELAY and doubles up to MAX_RETRY_DELAY, so a stopped server isn't hammered
+ * status is 'unknown' until the first check, then 'up', 'degraded' (API answers, database doesn't) or 'down'
+ */
+
+const POLL_INTERVAL = 15000
+const RETRY_DELAY = 2000
+const MAX_RETRY_DELAY = 60000
+const CHECK_TIMEOUT = 5000
+
+/** Samples kept for the latency sparkline */
+export const HISTORY_SIZE = 30
+
+let state = {
+  status: 'unknown',
+  api: null,
+  db: null,
+  error: null,
+  latency: null,
+  lastCheck: null,
+  nextCheck: null,
+  failures: 0,
+  history: []
+}
+const listeners = new Set()
+let timer = null
+let inFlight = null
+let unsubscribeApi = null
+
+const update = (patch) => {
+  state = { ...state, ...patch }
+  listeners.forEach(listener => listener())
+}
+
+const delayAfter = (failures) => failures === 0
+  ? POLL_INTERVAL
+  : Math.min(RETRY_DELAY * 2 ** (failures - 1), MAX_RETRY_DELAY)
+
+const schedule = (delay) => {
+  clearTimeout(timer)
+  timer = null
+  if (listeners.size === 0) return
+  timer = setTimeout(tick, delay)
+  update({ nextCheck: Date.now() + delay })
+}
+
+// Hidden tabs skip the request but keep the schedule; becoming visible checks straight away
+function tick() {
+  if (typeof document !== 'undefined' && document.hidden) {
+    schedule(delayAfter(state.failures))
+    return
+  }
+  checkHealth()
+}
+
+async function runCheck() {
+  const options = () => ({ retries: 0, signal: AbortSignal.timeout(CHECK_TIMEOUT) })
+  const start = performance.now()
+  let patch
+  try {
+    const health = await api.health(options())
+    const latency = Math.round(performance.now() - start)
+    // /db/status failing on its own still means the API itself is reachable
+    const db = await api.dbStatus(options()).catch(() => ({ connected: false, type: null }))
+    patch = {
+      status: db.connected ? 'up' : 'degraded',
+      api: health,
+      db,
+      error: null,
+      latency,
+      failures: 0
+    }
+  } catch (e) {
+    patch = {
+      status: 'down',
+      api: null,
+      db: null,
+      error: e.message,
+      latency: null,
+      failures: state.failures + 1
+    }
+  }
+  const lastCheck = Date.now()
+  const sample = { at: lastCheck, latency: patch.latency, ok: patch.status !== 'down' }
+  update({ ...patch, lastCheck, history: [...state.history, sample].slice(-HISTORY_SIZE) })
+}
+
+/**
+ * Check now and reschedule from the result; concurrent calls share the running check
+ * @returns {Promise<void>}
+ */
+export function checkHealth() {
+  if (!inFlight) {
+    clearTimeout(timer)
+    timer = null
+    inFlight = runCheck().finally(() => {
+      inFlight = null
+      schedule(delayAfter(state.failures))
+    })
+  }
+  return inFlight
+}
+
+/** Current monitor state */
+export const getHealth = () => state
+
+/** False while the backend or its database is unreachable; 'unknown' doesn't block the first actions */
+export const canMutate = (health = state) => health.status !== 'down' && health.status !== 'degraded'
+
+const onVisible = () => {
+  if (!document.hidden) checkHealth()
+}
+
+// A request from the UI failing on the network (or succeeding while we think the server is down) is news
+const onExchange = (ex) => {
+  const networkError = ex.error && (ex.error.kind === 'network' || ex.error.kind === 'timeout')
+  if ((networkError && state.status !== 'down') || (!ex.error && state.status === 'down')) checkHealth()
+}
+
+function start() {
+  document.addEventListener('visibilitychange', onVisible)
+  window.addEventListener('online', checkHealth)
+  unsubscribeApi = api.subscribe(ex => {
+    if (ex.label !== 'Health' && ex.label !== 'DB Status') onExchange(ex)
+  })
+  checkHealth()
+}
+
+function stop() {
+  clearTimeout(timer)
+  timer = null
+  document.removeEventListener('visibilitychange', onVisible)
+  window.removeEventListener('online', checkHealth)
+  unsubscribeApi?.()
+}
+
+/**
+ * Notified after every check; the first subscriber starts polling and the last one stops it
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeHealth(listener) {
+  listeners.add(listener)
+  if (listeners.size === 1) start()
+  return () => {
+    listeners.delete(listener)
+    if (listeners.size === 0) stop()
+  }
+}
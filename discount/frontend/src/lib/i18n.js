@@ -0,0 +1,81 @@
+import de from '../locales/de.json'
+import en from '../locales/en.json'
+import fr from '../locales/fr.json'
+import sv from '../locales/sv.json'
+
+/** Supported UI languages with their own names, for the switcher */
+export const LANGUAGES = { en: 'English', sv: 'Svenska', de: 'Deutsch', fr: 'Français' }
+
+export const DEFAULT_LANGUAGE = 'en'
+
+const CATALOGS = { en, sv, de, fr }
+const STORAGE_KEY = 'discount-ui-language'
+
+const pluralRules = new Map()
+
+const selectPlural = (language, count) => {
+  if (!pluralRules.has(language)) pluralRules.set(language, new Intl.PluralRules(language))
+  return pluralRules.get(language).select(count)
+}
+
+/**
+ * Look up a message and fill in {placeholders}
+ * Plural messages are objects keyed by Intl.PluralRules category ({one, other, ...}) and pick one with params.count
+ * Missing keys fall back to English, then to the key itself
+ * @param {string} language One of LANGUAGES
+ * @param {string} key e.g. 'step1.title'
+ * @param {object} params Placeholder values
+ */
+export function translate(language, key, params = {}) {
+  let message = CATALOGS[language]?.[key] ?? en[key] ?? key
+  if (typeof message === 'object') {
+    message = message[selectPlural(language, params.count ?? 0)] ?? message.other
+  }
+  return message.replace(/\{(\w+)\}/g, (match, name) => name in params ? String(params[name]) : match)
+}
+
+// chosen: explicit pick from the switcher ('' = follow the country); auto: language of the selected country
+let state = { chosen: readChosen(), auto: DEFAULT_LANGUAGE }
+const listeners = new Set()
+
+function readChosen() {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY) ?? ''
+    return stored in LANGUAGES ? stored : ''
+  } catch {
+    return ''
+  }
+}
+
+const update = (patch) => {
+  state = { ...state, ...patch }
+  listeners.forEach(listener => listener())
+}
+
+/** {chosen, auto} language state; the active language is chosen || auto */
+export const getLanguageState = () => state
+
+/** Pick a language explicitly ('' = follow the selected country again); remembered across reloads */
+export function setLanguage(language) {
+  const chosen = language in LANGUAGES ? language : ''
+  try {
+    localStorage.setItem(STORAGE_KEY, chosen)
+  } catch {
+    // Storage disabled: the choice lasts for this page only
+  }
+  update({ chosen })
+}
+
+/** Language to use while no explicit choice is made, normally the selected country's */
+export function setAutoLanguage(language) {
+  const auto = language in LANGUAGES ? language : DEFAULT_LANGUAGE
+  if (auto !== state.auto) update({ auto })
+}
+
+/**
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeLanguage(listener) {
+  listeners.add(listener)
+  return () => listeners.delete(listener)
+}
@@ -0,0 +1,7 @@
+/**
+ * Unique client-side ID for log entries, outbox items and library definitions
+ * (Date.now() collides when several are created in the same millisecond)
+ */
+export function createId() {
+  return globalThis.crypto?.randomUUID?.() ?? `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`
+}
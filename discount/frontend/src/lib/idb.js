@@ -0,0 +1,45 @@
+// Minimal promise wrapper around IndexedDB, shared by the log store and the offline outbox
+
+/**
+ * Wrap an IDBRequest in a promise
+ */
+export function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+}
+
+/**
+ * Open (and create/upgrade) a database
+ * @param {string} name Database name
+ * @param {number} version Schema version
+ * @param {(db: IDBDatabase) => void} upgrade Creates object stores and indexes
+ * @returns {Promise<IDBDatabase>} Rejects when IndexedDB is unavailable (private mode, old browsers)
+ */
+export function openDatabase(name, version, upgrade) {
+  if (typeof indexedDB === 'undefined') return Promise.reject(new Error('IndexedDB is not available'))
+  const request = indexedDB.open(name, version)
+  request.onupgradeneeded = () => upgrade(request.result)
+  return promisify(request)
+}
+
+/**
+ * Run work inside a transaction and resolve once it commits
+ * @param {IDBDatabase} db
+ * @param {string} storeName
+ * @param {'readonly'|'readwrite'} mode
+ * @param {(store: IDBObjectStore) => *} work Return value is passed through (awaited if it is a request)
+ */
+export function withStore(db, storeName, mode, work) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode)
+    let result
+    const value = work(tx.objectStore(storeName))
+    if (value instanceof IDBRequest) value.onsuccess = () => { result = value.result }
+    else result = value
+    tx.oncomplete = () => resolve(result)
+    tx.onerror = () => reject(tx.error)
+    tx.onabort = () => reject(tx.error)
+  })
+}
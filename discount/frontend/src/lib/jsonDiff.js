@@ -0,0 +1,25 @@
+const isObject = (v) => v !== null && typeof v === 'object'
+
+/**
+ * Structural diff of two JSON values
+ * Arrays are compared index by index; discount lists are small enough that this reads well
+ * @returns {{path: string, type: 'added'|'removed'|'changed', before: *, after: *}[]}
+ */
+export function diffJson(before, after, path = '$') {
+  if (Object.is(before, after)) return []
+
+  if (!isObject(before) || !isObject(after) || Array.isArray(before) !== Array.isArray(after)) {
+    return [{ path, type: 'changed', before, after }]
+  }
+
+  const keys = Array.isArray(before)
+    ? Array.from({ length: Math.max(before.length, after.length) }, (_, i) => i)
+    : [...new Set([...Object.keys(before), ...Object.keys(after)])]
+
+  return keys.flatMap(key => {
+    const childPath = Array.isArray(before) ? `${path}[${key}]` : `${path}.${key}`
+    if (!(key in before)) return [{ path: childPath, type: 'added', before: undefined, after: after[key] }]
+    if (!(key in after)) return [{ path: childPath, type: 'removed', before: before[key], after: undefined }]
+    return diffJson(before[key], after[key], childPath)
+  })
+}
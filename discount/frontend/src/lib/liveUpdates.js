@@ -0,0 +1,114 @@
+import { API_BASE_URL } from './api'
+import { isOwnApply, upsertProduct } from './productStore'
+
+/**
+ * Live product updates from GET /events (Server-Sent Events) while anything is subscribed
+ * Each "product-changed" event replaces the product in the product store. Unless the discount was applied from this
+ * tab (productStore.isOwnApply), the product is flagged in `changed` for HIGHLIGHT_DURATION so its card can stand out.
+ * The browser's own EventSource reconnect uses a fixed delay; instead the stream is closed on error and reopened
+ * after RETRY_DELAY, doubling up to MAX_RETRY_DELAY, and the delay resets once a connection opens.
+ * status is 'connecting', 'open', 'reconnecting' (waiting to retry) or 'unsupported' (no EventSource)
+ */
+
+const RETRY_DELAY = 1000
+const MAX_RETRY_DELAY = 30000
+const HIGHLIGHT_DURATION = 4000
+
+let state = {
+  status: 'connecting',
+  failures: 0,
+  nextAttempt: null,
+  lastEvent: null,
+  changed: {}
+}
+const listeners = new Set()
+let source = null
+let retryTimer = null
+const highlightTimers = new Map()
+
+const update = (patch) => {
+  state = { ...state, ...patch }
+  listeners.forEach(listener => listener())
+}
+
+const retryDelay = (failures) => Math.min(RETRY_DELAY * 2 ** (failures - 1), MAX_RETRY_DELAY)
+
+function highlight(productId) {
+  clearTimeout(highlightTimers.get(productId))
+  highlightTimers.set(productId, setTimeout(() => {
+    highlightTimers.delete(productId)
+    const changed = { ...state.changed }
+    delete changed[productId]
+    update({ changed })
+  }, HIGHLIGHT_DURATION))
+  update({ changed: { ...state.changed, [productId]: Date.now() } })
+}
+
+function onProductChanged(message) {
+  let event
+  try {
+    event = JSON.parse(message.data)
+  } catch {
+    return
+  }
+  if (!event?.product?.id) return
+  upsertProduct(event.product)
+  if (!isOwnApply(event.product.id, event.discountId)) highlight(event.product.id)
+  update({ lastEvent: event })
+}
+
+function connect() {
+  clearTimeout(retryTimer)
+  retryTimer = null
+  if (typeof EventSource === 'undefined') {
+    update({ status: 'unsupported' })
+    return
+  }
+  update({ status: 'connecting', nextAttempt: null })
+  source = new EventSource(`${API_BASE_URL}/events`)
+  source.addEventListener('open', () => update({ status: 'open', failures: 0 }))
+  source.addEventListener('product-changed', onProductChanged)
+  source.addEventListener('error', () => {
+    source.close()
+    source = null
+    const failures = state.failures + 1
+    const delay = retryDelay(failures)
+    retryTimer = setTimeout(connect, delay)
+    update({ status: 'reconnecting', failures, nextAttempt: Date.now() + delay })
+  })
+}
+
+// Coming back online is a good moment to retry instead of waiting out the backoff
+const onOnline = () => {
+  if (state.status === 'reconnecting') connect()
+}
+
+function start() {
+  window.addEventListener('online', onOnline)
+  connect()
+}
+
+function stop() {
+  window.removeEventListener('online', onOnline)
+  clearTimeout(retryTimer)
+  retryTimer = null
+  source?.close()
+  source = null
+  update({ status: 'connecting', failures: 0, nextAttempt: null })
+}
+
+/** {status, failures, nextAttempt, lastEvent, changed: {[productId]: receivedAt}} */
+export const getLiveUpdates = () => state
+
+/**
+ * Notified on connection changes and events; the first subscriber opens the stream and the last one closes it
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeLiveUpdates(listener) {
+  listeners.add(listener)
+  if (listeners.size === 1) start()
+  return () => {
+    listeners.delete(listener)
+    if (listeners.size === 0) stop()
+  }
+}
@@ -0,0 +1,190 @@
+import { mapWithConcurrency } from './pool.js'
+
+// Shared by the UI (ConcurrencyPanel) and the Node CLI (scripts/load-test.js), so it only uses fetch
+
+// PUT /products/{id}/discount success messages, also read by bulk apply, campaign import and the outbox
+export const APPLIED = 'Discount applied successfully'
+export const ALREADY_APPLIED = 'Discount already applied'
+
+/**
+ * How discount IDs are assigned to requests for each product:
+ * - same:   every request for a product uses one discountId (maximum contention)
+ * - pool:   requests cycle through `poolSize` discountIds per product
+ * - unique: every request gets its own discountId (no contention)
+ */
+export const COLLISION_PATTERNS = ['same', 'pool', 'unique']
+
+// Upper bounds (ms) of the latency histogram buckets
+export const HISTOGRAM_BUCKETS = [10, 25, 50, 100, 250, 500, 1000, 2500, 5000, Infinity]
+
+export const DEFAULT_CONFIG = {
+  concurrency: 10,
+  totalRequests: 10,
+  products: ['laptop-se'],
+  collision: 'same',
+  poolSize: 3,
+  percent: 5,
+  prefix: 'LOADTEST'
+}
+
+/**
+ * Build the list of requests to send
+ * Products are assigned round-robin; discount IDs follow the collision pattern
+ * @returns {{productId: string, discountId: string, percent: number}[]}
+ */
+export function planRequests({ totalRequests, products, collision, poolSize, percent, prefix, runId }) {
+  if (!products.length) throw new Error('At least one product is required')
+  if (!COLLISION_PATTERNS.includes(collision)) throw new Error(`Unknown collision pattern: ${collision}`)
+
+  const perProduct = new Map(products.map(p => [p, 0]))
+  return Array.from({ length: totalRequests }, (_, i) => {
+    const productId = products[i % products.length]
+    const n = perProduct.get(productId)
+    perProduct.set(productId, n + 1)
+    const slot = collision === 'same' ? 0 : collision === 'pool' ? n % poolSize : n
+    return { productId, discountId: `${prefix}_${runId}_${slot}`, percent }
+  })
+}
+
+/**
+ * Nearest-rank percentile of an ascending array
+ */
+export function percentile(sorted, p) {
+  if (!sorted.length) return 0
+  const rank = Math.ceil((p / 100) * sorted.length)
+  return sorted[Math.min(sorted.length, Math.max(1, rank)) - 1]
+}
+
+/**
+ * Summarize raw samples into latency, throughput, status and invariant figures
+ * Invariant: every (product, discountId) pair is applied exactly once, all other requests see "already applied"
+ * @param {{productId, discountId, status, message, duration, error}[]} samples
+ * @param {number} elapsed Wall-clock duration of the run in ms
+ */
+export function buildReport(samples, elapsed) {
+  const latencies = samples.map(s => s.duration).sort((a, b) => a - b)
+
+  const histogram = HISTOGRAM_BUCKETS.map(le => ({ le, count: 0 }))
+  for (const d of latencies) histogram.find(b => d <= b.le).count++
+
+  const statusCodes = {}
+  for (const s of samples) {
+    const key = s.status || 'network error'
+    statusCodes[key] = (statusCodes[key] || 0) + 1
+  }
+
+  const pairs = new Map()
+  for (const s of samples) {
+    const key = `${s.productId}::${s.discountId}`
+    const pair = pairs.get(key) ?? { productId: s.productId, discountId: s.discountId, requests: 0, applied: 0, alreadyApplied: 0, failed: 0 }
+    pair.requests++
+    if (s.message === APPLIED) pair.applied++
+    else if (s.message === ALREADY_APPLIED) pair.alreadyApplied++
+    else pair.failed++
+    pairs.set(key, pair)
+  }
+  const violations = [...pairs.values()].filter(p => p.applied !== 1 || p.failed > 0)
+
+  return {
+    total: samples.length,
+    elapsed,
+    throughput: elapsed > 0 ? (samples.length / elapsed) * 1000 : 0,
+    latency: {
+      min: latencies[0] ?? 0,
+      p50: percentile(latencies, 50),
+      p95: percentile(latencies, 95),
+      p99: percentile(latencies, 99),
+      max: latencies[latencies.length - 1] ?? 0,
+      mean: latencies.length ? latencies.reduce((a, b) => a + b, 0) / latencies.length : 0
+    },
+    histogram,
+    statusCodes,
+    applied: samples.filter(s => s.message === APPLIED).length,
+    alreadyApplied: samples.filter(s => s.message === ALREADY_APPLIED).length,
+    failed: samples.filter(s => s.message !== APPLIED && s.message !== ALREADY_APPLIED).length,
+    invariant: {
+      passed: violations.length === 0,
+      pairs: pairs.size,
+      violations
+    }
+  }
+}
+
+/**
+ * Fire PUT /products/{id}/discount requests according to config and report the results
+ * Every run uses a fresh runId so its discount IDs never collide with earlier runs
+ * @param {object} config See DEFAULT_CONFIG
+ * @param {object} options
+ * @param {string} options.baseUrl Server root ('' for same origin)
+ * @param {Function} options.fetch fetch implementation
+ * @param {(done: number, total: number) => void} options.onProgress
+ * @param {AbortSignal} options.signal Stops sending new requests
+ */
+export async function runLoadTest(config, { baseUrl = '', fetch: fetchImpl = (...args) => fetch(...args), onProgress, signal } = {}) {
+  const cfg = { ...DEFAULT_CONFIG, ...config }
+  const runId = Date.now().toString(36)
+  const plan = planRequests({ ...cfg, runId })
+  let done = 0
+
+  const send = async ({ productId, discountId, percent }) => {
+    const start = performance.now()
+    try {
+      const res = await fetchImpl(`${baseUrl}/products/${encodeURIComponent(productId)}/discount`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ discountId, percent })
+      })
+      const text = await res.text()
+      let message = null
+      try {
+        const data = JSON.parse(text)
+        message = data.message ?? data.error ?? null
+      } catch {
+        // Non-JSON body (proxy error page etc.); status code is still recorded
+      }
+      return { productId, discountId, status: res.status, message, duration: performance.now() - start }
+    } catch (e) {
+      return { productId, discountId, status: 0, message: null, error: e.message, duration: performance.now() - start }
+    }
+  }
+
+  const start = performance.now()
+  const results = await mapWithConcurrency(plan, cfg.concurrency, send, {
+    signal,
+    onSettled: () => onProgress?.(++done, plan.length)
+  })
+  const samples = results.filter(Boolean).map(r => r.value)
+
+  return { config: cfg, runId, ...buildReport(samples, performance.now() - start) }
+}
+
+/**
+ * Render a report as plain text (used by the CLI)
+ */
+export function formatReport(report) {
+  const ms = (v) => `${v.toFixed(1)}ms`
+  const maxCount = Math.max(1, ...report.histogram.map(b => b.count))
+  const lines = [
+    `Run ${report.runId}: ${report.total} requests, concurrency ${report.config.concurrency}, pattern "${report.config.collision}"`,
+    `Products: ${report.config.products.join(', ')}`,
+    '',
+    `Duration:   ${ms(report.elapsed)}`,
+    `Throughput: ${report.throughput.toFixed(1)} req/s`,
+    `Latency:    min ${ms(report.latency.min)}  p50 ${ms(report.latency.p50)}  p95 ${ms(report.latency.p95)}  p99 ${ms(report.latency.p99)}  max ${ms(report.latency.max)}`,
+    '',
+    'Histogram:',
+    ...report.histogram
+      .filter(b => b.count > 0)
+      .map(b => `  <= ${String(b.le === Infinity ? '∞' : b.le).padStart(5)}ms  ${'#'.repeat(Math.ceil((b.count / maxCount) * 40)).padEnd(40)} ${b.count}`),
+    '',
+    `Status codes: ${Object.entries(report.statusCodes).map(([k, v]) => `${k}=${v}`).join('  ')}`,
+    `Applied: ${report.applied}  Already applied: ${report.alreadyApplied}  Failed: ${report.failed}`,
+    '',
+    report.invariant.passed
+      ? `✅ PASSED: exactly one applied for each of ${report.invariant.pairs} (product, discountId) pairs`
+      : `❌ FAILED: ${report.invariant.violations.length} of ${report.invariant.pairs} pairs violate "exactly one applied"`,
+    ...report.invariant.violations.map(v =>
+      `  ${v.productId} / ${v.discountId}: applied=${v.applied} alreadyApplied=${v.alreadyApplied} failed=${v.failed}`)
+  ]
+  return lines.join('\n')
+}
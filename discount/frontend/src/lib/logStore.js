@@ -0,0 +1,98 @@
+import { openDatabase, withStore } from './idb'
+
+const DB_NAME = 'discount-ui-logs'
+const STORE = 'logs'
+// Oldest entries beyond this are pruned on write
+export const MAX_STORED_LOGS = 1000
+
+let dbPromise = null
+const getDb = () => {
+  dbPromise ??= openDatabase(DB_NAME, 1, db => {
+    const store = db.createObjectStore(STORE, { keyPath: 'id' })
+    store.createIndex('timestamp', 'timestamp')
+  })
+  return dbPromise
+}
+
+/**
+ * Persist one entry, pruning the oldest beyond MAX_STORED_LOGS
+ * Failures are swallowed: the in-memory log still works without IndexedDB
+ */
+export async function saveLog(entry) {
+  try {
+    const db = await getDb()
+    await withStore(db, STORE, 'readwrite', store => {
+      store.put(entry)
+      const countReq = store.count()
+      countReq.onsuccess = () => {
+        let excess = countReq.result - MAX_STORED_LOGS
+        if (excess <= 0) return
+        store.index('timestamp').openCursor().onsuccess = (e) => {
+          const cursor = e.target.result
+          if (!cursor || excess-- <= 0) return
+          cursor.delete()
+          cursor.continue()
+        }
+      }
+    })
+  } catch {
+    // IndexedDB unavailable or quota exceeded
+  }
+}
+
+/**
+ * Load stored entries, newest first
+ */
+export async function loadLogs() {
+  try {
+    const db = await getDb()
+    const all = await withStore(db, STORE, 'readonly', store => store.index('timestamp').getAll())
+    return all.reverse()
+  } catch {
+    return []
+  }
+}
+
+export async function clearStoredLogs() {
+  try {
+    const db = await getDb()
+    await withStore(db, STORE, 'readwrite', store => store.clear())
+  } catch {
+    // Nothing persisted
+  }
+}
+
+/**
+ * Product and discount IDs referenced by a request, used for filtering
+ */
+export function extractKeys(url, body) {
+  const productMatch = url.match(/\/products\/([^/?]+)\/discount/)
+  const countryMatch = url.match(/[?&]country=([^&]+)/)
+  return {
+    productId: productMatch ? decodeURIComponent(productMatch[1]) : null,
+    country: countryMatch ? decodeURIComponent(countryMatch[1]) : null,
+    discountId: body?.discountId ?? null
+  }
+}
+
+/**
+ * Filter entries by method, status class, product, discount and free text
+ * @param {object[]} logs
+ * @param {{method: string, status: string, product: string, discount: string, search: string}} filters
+ *        status is '' | '2xx' | '4xx' | '5xx' | 'error' (no response)
+ */
+export function filterLogs(logs, { method = '', status = '', product = '', discount = '', search = '' }) {
+  const needle = search.trim().toLowerCase()
+  return logs.filter(log => {
+    if (method && log.method !== method) return false
+    if (status === 'error' && log.status !== 0) return false
+    if (status && status !== 'error' && String(log.status)[0] !== status[0]) return false
+    if (product && !(log.productId || '').toLowerCase().includes(product.toLowerCase())) return false
+    if (discount && !(log.discountId || '').toLowerCase().includes(discount.toLowerCase())) return false
+    if (needle) {
+      const haystack = `${log.type} ${log.method} ${log.url} ${log.status} ${JSON.stringify(log.body)} ${JSON.stringify(log.response)}`
+      if (!haystack.toLowerCase().includes(needle)) return false
+    }
+    return true
+  })
+}
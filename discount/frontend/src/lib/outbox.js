@@ -0,0 +1,170 @@
+import { createId } from './id'
+import { openDatabase, withStore } from './idb'
+import { APPLIED } from './loadTest'
+import { applyDiscount } from './productStore'
+
+/**
+ * Offline outbox for discount applications, persisted in IndexedDB so queued items survive reloads
+ * PUT /products/{id}/discount is idempotent on discountId, so replaying an item that may already have
+ * reached the server is safe: the worst case is "Discount already applied"
+ * Item status: 'queued' → 'sending' → 'applied' | 'already applied' | 'failed'
+ */
+
+const DB_NAME = 'discount-ui-outbox'
+const STORE = 'items'
+
+let dbPromise = null
+const getDb = () => {
+  dbPromise ??= openDatabase(DB_NAME, 1, db => {
+    const store = db.createObjectStore(STORE, { keyPath: 'id' })
+    store.createIndex('queuedAt', 'queuedAt')
+  })
+  return dbPromise
+}
+
+let items = []
+const listeners = new Set()
+let loaded = null
+let flushing = null
+
+const emit = () => listeners.forEach(listener => listener())
+
+const persist = async (item) => {
+  try {
+    const db = await getDb()
+    await withStore(db, STORE, 'readwrite', store => store.put(item))
+  } catch {
+    // IndexedDB unavailable: the item is only kept for this page
+  }
+}
+
+const update = (id, patch) => {
+  items = items.map(item => item.id === id ? { ...item, ...patch } : item)
+  const item = items.find(i => i.id === id)
+  emit()
+  return item ? persist(item) : Promise.resolve()
+}
+
+/**
+ * Read stored items once; anything left 'sending' by a closed tab goes back to 'queued'
+ * @returns {Promise<void>}
+ */
+export function loadOutbox() {
+  loaded ??= (async () => {
+    try {
+      const db = await getDb()
+      const stored = await withStore(db, STORE, 'readonly', store => store.index('queuedAt').getAll())
+      const known = new Set(items.map(i => i.id))
+      const restored = stored
+        .filter(i => !known.has(i.id))
+        .map(i => i.status === 'sending' ? { ...i, status: 'queued' } : i)
+      items = [...restored, ...items]
+      emit()
+    } catch {
+      // Start with an empty outbox
+    }
+  })()
+  return loaded
+}
+
+/** All items, oldest first */
+export const getOutbox = () => items
+
+/**
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeOutbox(listener) {
+  listeners.add(listener)
+  return () => listeners.delete(listener)
+}
+
+/** True for network failures worth queueing, as opposed to the server rejecting the request */
+export const isOfflineError = (error) => error?.kind === 'network' || error?.kind === 'timeout' || [502, 503, 504].includes(error?.status)
+
+/**
+ * Queue a discount for later; an identical item still waiting is returned instead of a duplicate
+ * @param {{id: string, name: string, country: string}} product
+ * @param {{discountId: string, percent: number}} discount
+ */
+export async function enqueueDiscount(product, { discountId, percent }) {
+  await loadOutbox()
+  const waiting = items.find(i => i.status === 'queued' && i.productId === product.id && i.discountId === discountId)
+  if (waiting) return waiting
+  const item = {
+    id: createId(),
+    productId: product.id,
+    productName: product.name,
+    country: product.country,
+    discountId,
+    percent,
+    status: 'queued',
+    queuedAt: new Date().toISOString(),
+    attempts: 0,
+    message: null,
+    finalPrice: null,
+    finishedAt: null
+  }
+  items = [...items, item]
+  emit()
+  await persist(item)
+  return item
+}
+
+async function send(item) {
+  await update(item.id, { status: 'sending', attempts: item.attempts + 1 })
+  try {
+    const data = await applyDiscount(item.productId, { discountId: item.discountId, percent: item.percent }, { label: 'Apply Discount (queued)' })
+    await update(item.id, {
+      status: data.message === APPLIED ? 'applied' : 'already applied',
+      message: data.message,
+      finalPrice: data.product.finalPrice,
+      finishedAt: new Date().toISOString()
+    })
+    return true
+  } catch (e) {
+    if (isOfflineError(e)) {
+      await update(item.id, { status: 'queued', message: e.message })
+      return false
+    }
+    await update(item.id, { status: 'failed', message: e.message, finishedAt: new Date().toISOString() })
+    return true
+  }
+}
+
+/**
+ * Send queued items in order, stopping at the first network failure (still offline)
+ * Concurrent calls share the running flush
+ * @returns {Promise<number>} Items that reached a final status
+ */
+export function flushOutbox() {
+  flushing ??= (async () => {
+    await loadOutbox()
+    let finished = 0
+    // Re-read each time so items queued during the flush are picked up too
+    let next
+    while ((next = items.find(i => i.status === 'queued'))) {
+      if (!await send(next)) break
+      finished++
+    }
+    return finished
+  })().finally(() => { flushing = null })
+  return flushing
+}
+
+/** Drop one item (queued or finished) */
+export async function removeOutboxItem(id) {
+  items = items.filter(i => i.id !== id)
+  emit()
+  try {
+    const db = await getDb()
+    await withStore(db, STORE, 'readwrite', store => store.delete(id))
+  } catch {
+    // Nothing persisted
+  }
+}
+
+/** Drop every item that reached a final status */
+export async function clearFinishedOutbox() {
+  const done = items.filter(i => i.status !== 'queued' && i.status !== 'sending')
+  await Promise.all(done.map(i => removeOutboxItem(i.id)))
+}
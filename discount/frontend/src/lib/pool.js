@@ -0,0 +1,30 @@
+/**
+ * Run an async worker over items with at most `limit` calls in flight
+ * Results keep the input order and never reject: each is {status: 'fulfilled', value} or {status: 'rejected', reason}
+ * @param {Array} items Work items
+ * @param {number} limit Maximum concurrent workers
+ * @param {(item, index) => Promise} worker Called once per item
+ * @param {object} options
+ * @param {(result, index) => void} options.onSettled Called as each item finishes
+ * @param {AbortSignal} options.signal Stops picking up new items once aborted
+ */
+export async function mapWithConcurrency(items, limit, worker, { onSettled, signal } = {}) {
+  const results = new Array(items.length)
+  let next = 0
+
+  const run = async () => {
+    while (next < items.length && !signal?.aborted) {
+      const index = next++
+      try {
+        results[index] = { status: 'fulfilled', value: await worker(items[index], index) }
+      } catch (reason) {
+        results[index] = { status: 'rejected', reason }
+      }
+      onSettled?.(results[index], index)
+    }
+  }
+
+  const workers = Math.max(1, Math.min(limit, items.length))
+  await Promise.all(Array.from({ length: workers }, run))
+  return results
+}
@@ -0,0 +1,139 @@
+// Client-side mirror of PriceCalculationService and VatService on the backend.
+// Keep the operation order identical to the Kotlin code so results match to the cent.
+
+import { findCountry } from './countries'
+
+/**
+ * Get VAT rate for a country (case-insensitive), from the GET /countries list
+ * @returns {number} Rate as decimal (e.g. 0.25 for 25%)
+ * @throws {Error} if country is not supported or its rate is unknown
+ */
+export function getVatRate(country) {
+  const match = findCountry(country)
+  if (!match) throw new Error(`Unsupported country: ${country}`)
+  if (match.vatRate == null) throw new Error(`VAT rate unknown for ${country}`)
+  return match.vatRate
+}
+
+/**
+ * Like getVatRate, but null instead of throwing when the country or its rate is unknown
+ * @returns {number|null}
+ */
+export function findVatRate(country) {
+  return findCountry(country)?.vatRate ?? null
+}
+
+/**
+ * VAT as a whole percentage for labels (e.g. 25), null when the rate is unknown
+ * Calculations and exports use the exact rate (getVatRate / findVatRate)
+ */
+export function getVatPercent(country) {
+  const rate = findVatRate(country)
+  return rate == null ? null : Math.round(rate * 100)
+}
+
+/**
+ * Compound discount: 1 - (1-d1/100) * (1-d2/100) * ... * (1-dn/100)
+ * @param {{percent: number}[]} discounts
+ * @returns {number} Total discount percentage (0-100)
+ */
+export function calculateTotalDiscountPercent(discounts = []) {
+  if (!discounts.length) return 0
+  const remainingPriceFactor = discounts.reduce((acc, d) => acc * (1 - d.percent / 100), 1)
+  return (1 - remainingPriceFactor) * 100
+}
+
+/**
+ * Round to 2 decimals the way Kotlin's (x * 100).roundToInt() / 100.0 does (ties towards +infinity)
+ */
+export function roundToCents(value) {
+  return Math.round(value * 100) / 100
+}
+
+/**
+ * finalPrice = basePrice × (1 - totalDiscount%) × (1 + VAT%), rounded to 2 decimals
+ * @param {{basePrice: number, country: string, discounts: {percent: number}[]}} product
+ * @param {number} vatRate Optional override, defaults to the product country's rate
+ */
+export function calculateFinalPrice(product, vatRate = getVatRate(product.country)) {
+  const totalDiscountPercent = calculateTotalDiscountPercent(product.discounts)
+  const rawPrice = product.basePrice * (1 - totalDiscountPercent / 100) * (1 + vatRate)
+  return roundToCents(rawPrice)
+}
+
+/**
+ * Step-by-step calculation for display
+ * Each step is {type: 'base'|'discount'|'vat'|'rounded', value}, discount steps add {discountId, percent} and the VAT
+ * step adds {percent}; value is the running (unrounded) price after that step. Labels are left to the UI to translate
+ */
+export function priceBreakdown(product, vatRate = getVatRate(product.country)) {
+  const steps = [{ type: 'base', value: product.basePrice }]
+
+  let running = product.basePrice
+  for (const d of product.discounts || []) {
+    running = running * (1 - d.percent / 100)
+    steps.push({ type: 'discount', discountId: d.discountId, percent: d.percent, value: running })
+  }
+
+  const totalDiscountPercent = calculateTotalDiscountPercent(product.discounts)
+  const discountedPrice = product.basePrice * (1 - totalDiscountPercent / 100)
+  const rawPrice = discountedPrice * (1 + vatRate)
+  const finalPrice = roundToCents(rawPrice)
+
+  steps.push({ type: 'vat', percent: roundToCents(vatRate * 100), value: rawPrice })
+  steps.push({ type: 'rounded', value: finalPrice })
+
+  return {
+    steps,
+    basePrice: product.basePrice,
+    totalDiscountPercent,
+    discountedPrice,
+    vatRate,
+    vatAmount: rawPrice - discountedPrice,
+    rawPrice,
+    finalPrice
+  }
+}
+
+/**
+ * Compare the client calculation with the server's finalPrice
+ * @returns {{expected: number|null, actual: number, matches: boolean}}
+ *          expected is null when the client can't price the country
+ */
+export function checkPriceConsistency(product) {
+  let expected
+  try {
+    expected = calculateFinalPrice(product)
+  } catch {
+    return { expected: null, actual: product.finalPrice, matches: true }
+  }
+  return { expected, actual: product.finalPrice, matches: Math.abs(expected - product.finalPrice) < 0.005 }
+}
+
+/**
+ * Preview the effect of extra discounts without applying them
+ * Discounts whose discountId is already on the product are skipped, as the backend would (idempotency)
+ * @param {object} product ProductResponse
+ * @param {{discountId?: string, percent: number}[]} hypothetical Discounts to stack on top of the existing ones
+ * @returns {{currentPrice, finalPrice, savings, totalDiscountPercent, addedDiscountPercent, ignored}}
+ *          savings is currentPrice - finalPrice; addedDiscountPercent is the compound effect of the new discounts alone
+ */
+export function simulateDiscounts(product, hypothetical) {
+  const existingIds = new Set((product.discounts || []).map(d => d.discountId))
+  const valid = hypothetical.filter(d => d.percent > 0 && d.percent <= 100)
+  const ignored = valid.filter(d => d.discountId && existingIds.has(d.discountId))
+  const added = valid.filter(d => !ignored.includes(d))
+  const discounts = [...(product.discounts || []), ...added]
+
+  const currentPrice = calculateFinalPrice(product)
+  const finalPrice = calculateFinalPrice({ ...product, discounts })
+
+  return {
+    currentPrice,
+    finalPrice,
+    savings: roundToCents(currentPrice - finalPrice),
+    totalDiscountPercent: calculateTotalDiscountPercent(discounts),
+    addedDiscountPercent: calculateTotalDiscountPercent(added),
+    ignored
+  }
+}
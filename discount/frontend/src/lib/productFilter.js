@@ -0,0 +1,100 @@
+import { calculateTotalDiscountPercent } from './pricing'
+
+/**
+ * Step 2 search, filters and sorting, kept in the URL query so a filtered view can be shared or bookmarked
+ * Query parameters (all optional): q, discounted=1, minPrice, maxPrice (final price), minDiscounts, maxDiscounts,
+ * sort (name | basePrice | finalPrice | discount) and order (asc | desc)
+ */
+
+export const SORT_KEYS = ['name', 'basePrice', 'finalPrice', 'discount']
+
+export const DEFAULT_FILTERS = {
+  q: '',
+  discounted: false,
+  minPrice: null,
+  maxPrice: null,
+  minDiscounts: null,
+  maxDiscounts: null,
+  sort: null,
+  order: 'asc'
+}
+
+const NUMBER_PARAMS = ['minPrice', 'maxPrice', 'minDiscounts', 'maxDiscounts']
+
+const toNumber = (value) => {
+  if (value == null || value.trim() === '') return null
+  const n = Number(value)
+  return Number.isFinite(n) ? n : null
+}
+
+/**
+ * Read filters from a query string; unknown or malformed values fall back to the defaults
+ * @param {URLSearchParams} search
+ */
+export function parseFilters(search) {
+  const sort = search.get('sort')
+  return {
+    q: search.get('q') ?? '',
+    discounted: search.get('discounted') === '1',
+    ...Object.fromEntries(NUMBER_PARAMS.map(key => [key, toNumber(search.get(key))])),
+    sort: SORT_KEYS.includes(sort) ? sort : null,
+    order: search.get('order') === 'desc' ? 'desc' : 'asc'
+  }
+}
+
+/**
+ * Query string for filters, leaving out defaults ('' when nothing is set)
+ * @returns {string} Including the leading '?'
+ */
+export function filtersToSearch(filters) {
+  const params = new URLSearchParams()
+  if (filters.q.trim()) params.set('q', filters.q)
+  if (filters.discounted) params.set('discounted', '1')
+  NUMBER_PARAMS.forEach(key => {
+    if (filters[key] != null) params.set(key, String(filters[key]))
+  })
+  if (filters.sort) {
+    params.set('sort', filters.sort)
+    if (filters.order === 'desc') params.set('order', 'desc')
+  }
+  const query = params.toString()
+  return query ? `?${query}` : ''
+}
+
+/** True when any filter (not just sorting) narrows the list */
+export const isFiltering = (filters) =>
+  Boolean(filters.q.trim()) || filters.discounted || NUMBER_PARAMS.some(key => filters[key] != null)
+
+const SORT_VALUE = {
+  name: p => p.name,
+  basePrice: p => p.basePrice,
+  finalPrice: p => p.finalPrice,
+  discount: p => calculateTotalDiscountPercent(p.discounts)
+}
+
+/**
+ * Filter then sort; without a sort key the server's order is kept
+ * Search is case-insensitive and matches the product name or ID
+ * @returns {object[]} A new array
+ */
+export function applyFilters(products, filters) {
+  const q = filters.q.trim().toLowerCase()
+  const inRange = (value, min, max) => (min == null || value >= min) && (max == null || value <= max)
+
+  const result = products.filter(p =>
+    (!q || p.name.toLowerCase().includes(q) || p.id.toLowerCase().includes(q)) &&
+    (!filters.discounted || p.discounts.length > 0) &&
+    inRange(p.finalPrice, filters.minPrice, filters.maxPrice) &&
+    inRange(p.discounts.length, filters.minDiscounts, filters.maxDiscounts)
+  )
+
+  if (filters.sort) {
+    const value = SORT_VALUE[filters.sort]
+    const direction = filters.order === 'desc' ? -1 : 1
+    const compare = filters.sort === 'name'
+      ? (a, b) => value(a).localeCompare(value(b))
+      : (a, b) => value(a) - value(b)
+    result.sort((a, b) => compare(a, b) * direction)
+  }
+  return result
+}
@@ -0,0 +1,162 @@
+import { api } from './api'
+import { calculateFinalPrice, findVatRate } from './pricing'
+
+/**
+ * Client-side product cache shared by every view
+ * - lists[country] holds the last GET /products response; switching back to a country shows it while it refreshes
+ * - A successful PUT /discount puts the returned product in place instead of refetching the list
+ * - Discounts being sent are kept in pending[productId] and merged into the product until the server answers,
+ *   so the UI shows them immediately; an error just drops them again (rollback)
+ * - Concurrent calls with the same key (same country, or same product + discountId) share one request
+ */
+
+let state = { lists: {}, pending: {} }
+const listeners = new Set()
+const inFlight = new Map()
+
+// How long a finished apply from this tab still counts as its own when the matching live event arrives
+const OWN_APPLY_WINDOW = 10000
+// `${productId} ${discountId}` -> finishedAt, null while the PUT is in flight
+const ownApplies = new Map()
+
+/** Record an apply starting; entries past the window go at the same time so the map doesn't grow with the session */
+const startOwnApply = (key) => {
+  const now = Date.now()
+  for (const [k, finishedAt] of ownApplies) {
+    if (finishedAt !== null && now - finishedAt >= OWN_APPLY_WINDOW) ownApplies.delete(k)
+  }
+  ownApplies.set(key, null)
+}
+
+const update = (next) => {
+  state = next
+  listeners.forEach(listener => listener())
+}
+
+/**
+ * Run fn once per key at a time; callers arriving while it runs get the same promise
+ * @param {string} key
+ * @param {() => Promise<*>} fn
+ */
+export function dedupe(key, fn) {
+  if (!inFlight.has(key)) {
+    inFlight.set(key, fn().finally(() => inFlight.delete(key)))
+  }
+  return inFlight.get(key)
+}
+
+/** {lists: {[country]: {products, status, error}}, pending: {[productId]: {discountId, percent}[]}} */
+export const getProductState = () => state
+
+/**
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeProducts(listener) {
+  listeners.add(listener)
+  return () => listeners.delete(listener)
+}
+
+const setList = (country, patch) => update({
+  ...state,
+  lists: { ...state.lists, [country]: { products: [], status: 'idle', error: null, ...state.lists[country], ...patch } }
+})
+
+/**
+ * Store a list fetched elsewhere (e.g. the full catalog)
+ */
+export function setProducts(country, products) {
+  setList(country, { products, status: 'ready', error: null })
+}
+
+/**
+ * GET /products?country= into the cache
+ * @param {object} options Passed to api.getProducts
+ * @returns {Promise<object[]>}
+ * @throws {ApiError} The cached list, if any, is kept
+ */
+export function fetchProducts(country, options) {
+  return dedupe(`GET ${country}`, async () => {
+    setList(country, { status: 'loading' })
+    try {
+      const products = await api.getProducts(country, options)
+      setProducts(country, products)
+      return products
+    } catch (e) {
+      setList(country, { status: 'error', error: e })
+      throw e
+    }
+  })
+}
+
+/**
+ * Replace a product in its country's list with a fresher copy from the server
+ */
+export function upsertProduct(product) {
+  const list = state.lists[product.country]
+  if (!list) return
+  const exists = list.products.some(p => p.id === product.id)
+  setList(product.country, {
+    products: exists ? list.products.map(p => p.id === product.id ? product : p) : [...list.products, product]
+  })
+}
+
+const setPending = (productId, entries) => {
+  const pending = { ...state.pending }
+  if (entries.length) pending[productId] = entries
+  else delete pending[productId]
+  update({ ...state, pending })
+}
+
+/**
+ * Product as the UI should show it: pending discounts appended (flagged pending: true) and the final price
+ * recalculated with them (kept as is when the country's VAT rate is unknown); discounts the server already has
+ * are not duplicated
+ */
+export function withPending(product, pending = state.pending[product.id]) {
+  const extra = (pending ?? []).filter(p => !product.discounts.some(d => d.discountId === p.discountId))
+  if (extra.length === 0) return product
+  const discounts = [...product.discounts, ...extra.map(p => ({ ...p, pending: true }))]
+  const finalPrice = findVatRate(product.country) == null ? product.finalPrice : calculateFinalPrice({ ...product, discounts })
+  return { ...product, discounts, finalPrice }
+}
+
+/**
+ * PUT /products/{id}/discount with an optimistic pending discount
+ * On success the returned product replaces the cached one; on error the pending discount is removed
+ * @param {object} options Passed to api.applyDiscount (e.g. {label})
+ * @returns {Promise<{message: string, product: object}>}
+ * @throws {ApiError}
+ */
+export function applyDiscount(productId, { discountId, percent }, options) {
+  return dedupe(`PUT ${productId} ${discountId}`, async () => {
+    const entry = { discountId, percent }
+    const key = `${productId} ${discountId}`
+    startOwnApply(key)
+    setPending(productId, [...(state.pending[productId] ?? []), entry])
+    try {
+      const data = await api.applyDiscount(productId, entry, options)
+      ownApplies.set(key, Date.now())
+      upsertProduct(data.product)
+      return data
+    } catch (e) {
+      // Nothing was applied, so a later live event for this pair isn't ours
+      ownApplies.delete(key)
+      throw e
+    } finally {
+      setPending(productId, (state.pending[productId] ?? []).filter(p => p !== entry))
+    }
+  })
+}
+
+/**
+ * Whether this tab sent (or is sending) this discount for this product recently
+ * The server may publish the live event before the PUT response arrives, so in-flight applies count too
+ */
+export function isOwnApply(productId, discountId, now = Date.now()) {
+  const key = `${productId} ${discountId}`
+  if (!ownApplies.has(key)) return false
+  const finishedAt = ownApplies.get(key)
+  if (finishedAt === null || now - finishedAt < OWN_APPLY_WINDOW) return true
+  ownApplies.delete(key)
+  return false
+}
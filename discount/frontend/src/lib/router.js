@@ -0,0 +1,75 @@
+/**
+ * Minimal History API router: the app only needs a handful of flat routes, so no routing dependency
+ * The backend serves index.html for unknown paths (staticResources default), so every route survives a refresh
+ */
+
+/** Route table; :name segments become params */
+export const ROUTES = {
+  home: '/',
+  country: '/countries/:country',
+  product: '/products/:id',
+  logs: '/logs',
+  library: '/library',
+  report: '/report'
+}
+
+/** Routes with their own view; the workspace stays mounted (hidden) underneath so its state survives */
+export const STANDALONE_ROUTES = ['logs', 'library', 'report']
+
+const listeners = new Set()
+
+const compiled = Object.entries(ROUTES).map(([name, path]) => {
+  const keys = []
+  const pattern = path.replace(/:(\w+)/g, (_, key) => {
+    keys.push(key)
+    return '([^/]+)'
+  })
+  return { name, keys, regex: new RegExp(`^${pattern}/?$`) }
+})
+
+/**
+ * Match a pathname against ROUTES
+ * @returns {{name: string, params: object}} name is 'notFound' when nothing matches
+ */
+export function matchRoute(pathname) {
+  for (const { name, keys, regex } of compiled) {
+    const match = regex.exec(pathname)
+    if (match) {
+      return { name, params: Object.fromEntries(keys.map((key, i) => [key, decodeURIComponent(match[i + 1])])) }
+    }
+  }
+  return { name: 'notFound', params: {} }
+}
+
+/**
+ * Build a path for a named route, e.g. pathFor('product', {id: 'tablet-de'}) → '/products/tablet-de'
+ */
+export function pathFor(name, params = {}) {
+  return ROUTES[name].replace(/:(\w+)/g, (_, key) => encodeURIComponent(params[key]))
+}
+
+/** Current location (pathname + search) */
+export const getLocation = () => window.location.pathname + window.location.search
+
+/**
+ * Go to a path, adding a history entry unless replace is set
+ * Query strings are kept as given; nothing happens when the location doesn't change
+ */
+export function navigate(path, { replace = false } = {}) {
+  if (path === getLocation()) return
+  window.history[replace ? 'replaceState' : 'pushState'](null, '', path)
+  listeners.forEach(listener => listener())
+}
+
+/**
+ * Listen to navigation (navigate() and browser back/forward)
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeLocation(listener) {
+  listeners.add(listener)
+  window.addEventListener('popstate', listener)
+  return () => {
+    listeners.delete(listener)
+    window.removeEventListener('popstate', listener)
+  }
+}
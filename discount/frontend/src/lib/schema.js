@@ -0,0 +1,77 @@
+import openapi from '../../../app/src/main/resources/static/openapi.json'
+
+/**
+ * Component schemas from the backend's OpenAPI document
+ * (ProductResponse, Discount, ApplyDiscountRequest, ApplyDiscountResponse, ErrorResponse)
+ */
+export const schemas = openapi.components.schemas
+
+const resolve = (schema) => {
+  if (!schema?.$ref) return schema
+  const name = schema.$ref.replace('#/components/schemas/', '')
+  return schemas[name]
+}
+
+const typeOf = (value) => {
+  if (value === null) return 'null'
+  if (Array.isArray(value)) return 'array'
+  return typeof value
+}
+
+/**
+ * Validate a value against an OpenAPI schema
+ * Supports the subset of JSON Schema used by openapi.json:
+ * $ref, type, required, properties, items, enum, minimum (+ OpenAPI 3.0's boolean exclusiveMinimum), maximum,
+ * minLength, maxLength, pattern
+ * @param {*} value Value to check
+ * @param {object} schema Schema object (may be a $ref)
+ * @param {string} path Location used in problem messages
+ * @returns {string[]} Problems found, empty when the value is valid
+ */
+export function validate(value, schema, path = '$') {
+  const s = resolve(schema)
+  if (!s) return []
+  const problems = []
+  const actual = typeOf(value)
+
+  if (s.type) {
+    const matches = s.type === 'integer'
+      ? Number.isInteger(value)
+      : s.type === actual
+    if (!matches) return [`${path}: expected ${s.type}, got ${actual}`]
+  }
+
+  if (s.enum && !s.enum.includes(value)) {
+    problems.push(`${path}: must be one of ${s.enum.join(', ')}`)
+  }
+  if (s.minLength != null && typeof value === 'string' && value.length < s.minLength) {
+    problems.push(`${path}: must be at least ${s.minLength} characters`)
+  }
+  if (s.maxLength != null && typeof value === 'string' && value.length > s.maxLength) {
+    problems.push(`${path}: must be at most ${s.maxLength} characters`)
+  }
+  if (s.pattern && typeof value === 'string' && !new RegExp(s.pattern).test(value)) {
+    problems.push(`${path}: must match ${s.pattern}`)
+  }
+  if (s.minimum != null && typeof value === 'number' && (s.exclusiveMinimum ? value <= s.minimum : value < s.minimum)) {
+    problems.push(`${path}: must be ${s.exclusiveMinimum ? '>' : '>='} ${s.minimum}`)
+  }
+  if (s.maximum != null && typeof value === 'number' && value > s.maximum) {
+    problems.push(`${path}: must be <= ${s.maximum}`)
+  }
+
+  if (actual === 'object') {
+    for (const key of s.required || []) {
+      if (!(key in value)) problems.push(`${path}.${key}: is required`)
+    }
+    for (const [key, prop] of Object.entries(s.properties || {})) {
+      if (key in value) problems.push(...validate(value[key], prop, `${path}.${key}`))
+    }
+  }
+
+  if (actual === 'array' && s.items) {
+    value.forEach((item, i) => problems.push(...validate(item, s.items, `${path}[${i}]`)))
+  }
+
+  return problems
+}
@@ -0,0 +1,45 @@
+import { API_BASE_URL, resolveApiUrl } from './api'
+
+// Copy-as snippets for logged requests; URLs point at the API (VITE_API_BASE_URL), not the UI host
+
+const shellQuote = (s) => `'${String(s).replace(/'/g, `'\\''`)}'`
+
+/**
+ * curl command for a log entry {method, url, body}
+ */
+export function toCurl({ method, url, body }, base = API_BASE_URL) {
+  const parts = [`curl -X ${method} ${shellQuote(resolveApiUrl(url, base))}`]
+  if (body != null) {
+    parts.push(`-H 'Content-Type: application/json'`)
+    parts.push(`-d ${shellQuote(JSON.stringify(body))}`)
+  }
+  return parts.join(' \\\n  ')
+}
+
+/**
+ * HTTPie command; JSON bodies use raw := fields so numbers keep their type
+ */
+export function toHttpie({ method, url, body }, base = API_BASE_URL) {
+  const fields = body != null
+    ? Object.entries(body).map(([k, v]) => typeof v === 'string' ? shellQuote(`${k}=${v}`) : shellQuote(`${k}:=${JSON.stringify(v)}`))
+    : []
+  return [`http ${method} ${shellQuote(resolveApiUrl(url, base))}`, ...fields].join(' ')
+}
+
+/**
+ * Browser/Node fetch() call
+ */
+export function toFetch({ method, url, body }, base = API_BASE_URL) {
+  const lines = [`  method: ${JSON.stringify(method)}`]
+  if (body != null) {
+    lines.push(`  headers: { 'Content-Type': 'application/json' }`)
+    lines.push(`  body: JSON.stringify(${JSON.stringify(body)})`)
+  }
+  return `await fetch(${JSON.stringify(resolveApiUrl(url, base))}, {\n${lines.join(',\n')}\n}).then(r => r.json())`
+}
+
+export const SNIPPET_FORMATS = {
+  cURL: toCurl,
+  HTTPie: toHttpie,
+  fetch: toFetch
+}
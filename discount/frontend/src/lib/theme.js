@@ -0,0 +1,62 @@
+/**
+ * Light/dark theme: the preference is 'light', 'dark' or 'system' (follow prefers-color-scheme)
+ * The resolved theme is applied as the `dark` class on <html>, which switches the CSS tokens in index.css
+ * index.html applies the stored theme before the first paint; keep STORAGE_KEY in sync with it
+ */
+
+export const THEMES = ['light', 'dark', 'system']
+
+const STORAGE_KEY = 'discount-ui-theme'
+const DEFAULT_THEME = 'system'
+
+const media = typeof window !== 'undefined' && window.matchMedia ? window.matchMedia('(prefers-color-scheme: dark)') : null
+
+let preference = readPreference()
+const listeners = new Set()
+
+function readPreference() {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY)
+    return THEMES.includes(stored) ? stored : DEFAULT_THEME
+  } catch {
+    return DEFAULT_THEME
+  }
+}
+
+/** 'light' or 'dark' for a preference, looking at the OS setting for 'system' */
+export function resolveTheme(pref = preference) {
+  if (pref !== 'system') return pref
+  return media?.matches ? 'dark' : 'light'
+}
+
+const apply = () => {
+  document.documentElement.classList.toggle('dark', resolveTheme() === 'dark')
+  listeners.forEach(listener => listener())
+}
+
+media?.addEventListener('change', () => {
+  if (preference === 'system') apply()
+})
+
+/** Stored preference ('light' | 'dark' | 'system') */
+export const getThemePreference = () => preference
+
+/** Change and remember the preference, then re-apply the theme */
+export function setThemePreference(next) {
+  preference = THEMES.includes(next) ? next : DEFAULT_THEME
+  try {
+    localStorage.setItem(STORAGE_KEY, preference)
+  } catch {
+    // Storage disabled: the choice lasts for this page only
+  }
+  apply()
+}
+
+/**
+ * Notified when the preference or, under 'system', the OS theme changes
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeTheme(listener) {
+  listeners.add(listener)
+  return () => listeners.delete(listener)
+}
@@ -0,0 +1,54 @@
+/**
+ * Toast notifications: a module-level queue rendered by <Toaster />
+ * Messages are passed in already translated; callers outside React should surface errors through their own state
+ */
+
+const DEFAULT_DURATION = 5000
+// Older toasts are dropped beyond this so a burst of failures doesn't cover the screen
+const MAX_TOASTS = 4
+
+let toasts = []
+let nextId = 1
+const listeners = new Set()
+const timers = new Map()
+
+const emit = () => listeners.forEach(listener => listener())
+
+/**
+ * Show a toast
+ * @param {object} toast
+ * @param {'error'|'success'|'info'} toast.variant
+ * @param {string} toast.title
+ * @param {string} toast.description Optional second line (e.g. the raw backend message)
+ * @param {{label: string, onClick: Function}} toast.action Optional button; clicking it also dismisses the toast
+ * @param {number} toast.duration ms before it disappears, 0 to keep it until dismissed
+ * @param {string} toast.dedupeKey A toast with the same key replaces the previous one
+ * @returns {number} Toast id
+ */
+export function showToast({ variant = 'info', title, description = null, action = null, duration = DEFAULT_DURATION, dedupeKey = null }) {
+  const id = nextId++
+  const replaced = dedupeKey ? toasts.filter(t => t.dedupeKey === dedupeKey) : []
+  replaced.forEach(t => clearTimeout(timers.get(t.id)))
+  toasts = [...toasts.filter(t => !replaced.includes(t)), { id, variant, title, description, action, dedupeKey }].slice(-MAX_TOASTS)
+  if (duration > 0) timers.set(id, setTimeout(() => dismissToast(id), duration))
+  emit()
+  return id
+}
+
+export function dismissToast(id) {
+  clearTimeout(timers.get(id))
+  timers.delete(id)
+  toasts = toasts.filter(t => t.id !== id)
+  emit()
+}
+
+/** Visible toasts, oldest first */
+export const getToasts = () => toasts
+
+/**
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeToasts(listener) {
+  listeners.add(listener)
+  return () => listeners.delete(listener)
+}
@@ -0,0 +1,104 @@
+import { schemas } from './schema'
+
+/**
+ * Client-side checks mirroring the backend's rules for PUT /products/{id}/discount
+ * The limits are read from ApplyDiscountRequest in openapi.json (discountId: minLength, maxLength;
+ * percent: minimum, exclusiveMinimum, maximum), so the form and the server can't drift apart silently
+ * The discountId pattern is a house style the server doesn't enforce, so it only ever produces a warning
+ * Problems are returned as {key, params} locale keys; translate them with t() or translate()
+ */
+
+const { discountId: ID_SCHEMA, percent: PERCENT_SCHEMA } = schemas.ApplyDiscountRequest.properties
+
+export const DISCOUNT_ID_RULES = {
+  maxLength: ID_SCHEMA.maxLength
+}
+
+/** Characters a discount code is expected to use (letters, digits, _ and -) */
+export const DISCOUNT_ID_POLICY = new RegExp(ID_SCHEMA.pattern)
+
+export const PERCENT_RULES = {
+  min: PERCENT_SCHEMA.minimum,
+  exclusiveMin: Boolean(PERCENT_SCHEMA.exclusiveMinimum),
+  max: PERCENT_SCHEMA.maximum
+}
+
+// Shown in messages; a space is invisible, so it gets a visible stand-in
+const showChar = (c) => (c === ' ' ? '␣' : c)
+
+/**
+ * The discount code as it is checked and sent: surrounding whitespace dropped
+ * Every caller goes through this, so the same input always ends up as the same idempotency key
+ */
+export const normalizeDiscountId = (discountId) => String(discountId ?? '').trim()
+
+/**
+ * @param {string} discountId
+ * @returns {{key: string, params: object}|null} null when the code is valid
+ */
+export function checkDiscountId(discountId) {
+  const value = normalizeDiscountId(discountId)
+  if (value.length < (ID_SCHEMA.minLength ?? 1)) return { key: 'validation.idRequired', params: {} }
+  if (value.length > DISCOUNT_ID_RULES.maxLength) {
+    return { key: 'validation.idTooLong', params: { max: DISCOUNT_ID_RULES.maxLength, length: value.length } }
+  }
+  return null
+}
+
+/**
+ * Character policy check, a warning rather than an error: the server accepts any characters
+ * @param {string} discountId
+ * @returns {{key: string, params: object}|null} null when the code follows the policy (or is empty)
+ */
+export function checkDiscountIdPolicy(discountId) {
+  const value = normalizeDiscountId(discountId)
+  if (value === '' || DISCOUNT_ID_POLICY.test(value)) return null
+  // The pattern is a single character class, so testing one character at a time finds the offenders
+  const invalid = [...new Set([...value].filter(c => !DISCOUNT_ID_POLICY.test(c)))]
+  return { key: 'validation.idCharacters', params: { code: value, chars: invalid.map(showChar).join(' ') } }
+}
+
+/**
+ * @param {number|string} percent A number or the raw text of an input
+ * @returns {{key: string, params: object}|null} null when the percentage is valid
+ */
+export function checkPercent(percent) {
+  const text = typeof percent === 'number' ? null : String(percent ?? '').trim()
+  if (text === '') return { key: 'validation.percentRequired', params: {} }
+  const value = text === null ? percent : Number(text)
+  if (!Number.isFinite(value)) return { key: 'validation.percentNumber', params: {} }
+  const { min, exclusiveMin, max } = PERCENT_RULES
+  if ((exclusiveMin ? value <= min : value < min) || value > max) {
+    return { key: 'validation.percentRange', params: { min, max } }
+  }
+  return null
+}
+
+/**
+ * Validate a discount for a product
+ * Warnings are worth a look but don't block sending:
+ * - the code is already on the product (or being sent); the server would answer "Discount already applied"
+ *   and keep the existing percent
+ * - the code breaks the character policy (checkDiscountIdPolicy)
+ * @param {{discountId: string, percent: number|string}} discount
+ * @param {object} product Optional; with pending discounts merged in (see productStore.withPending)
+ * @returns {{errors: {discountId?: object, percent?: object}, warnings: object[], valid: boolean}}
+ */
+export function validateDiscount({ discountId, percent }, product = null) {
+  const errors = {}
+  const code = normalizeDiscountId(discountId)
+  const idProblem = checkDiscountId(code)
+  const percentProblem = checkPercent(percent)
+  if (idProblem) errors.discountId = idProblem
+  if (percentProblem) errors.percent = percentProblem
+
+  const warnings = []
+  const existing = code && product?.discounts.find(d => d.discountId === code)
+  if (existing) {
+    warnings.push({ key: existing.pending ? 'validation.alreadyPending' : 'validation.alreadyApplied', params: { code, percent: existing.percent } })
+  }
+  const policy = idProblem ? null : checkDiscountIdPolicy(code)
+  if (policy) warnings.push(policy)
+
+  return { errors, warnings, valid: !idProblem && !percentProblem }
+}
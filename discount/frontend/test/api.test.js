@@ -0,0 +1,117 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { ApiError, createApiClient } from '../src/lib/api.js'
+
+const PRODUCT = { id: 'laptop-se', name: 'Laptop', basePrice: 1000, country: 'Sweden', discounts: [], finalPrice: 1250 }
+
+const json = (data, status = 200) => new Response(JSON.stringify(data), { status })
+
+// fetch stand-in answering with the given responses in order (functions are called with the request)
+function fakeFetch(...responses) {
+  const calls = []
+  const fetch = async (url, init) => {
+    calls.push({ url, ...init })
+    const next = responses[Math.min(calls.length, responses.length) - 1]
+    return typeof next === 'function' ? next(url, init) : next.clone()
+  }
+  return { fetch, calls }
+}
+
+const client = (fetch, options) => createApiClient({ baseUrl: 'http://api', retryDelay: 1, fetch, ...options })
+
+const rejects = (promise, expected) => assert.rejects(promise, (e) => {
+  assert.ok(e instanceof ApiError)
+  for (const [key, value] of Object.entries(expected)) assert.deepEqual(e[key], value, key)
+  return true
+})
+
+test('getProducts returns the parsed body and reports the exchange to listeners', async () => {
+  const { fetch, calls } = fakeFetch(json([PRODUCT]))
+  const api = client(fetch)
+  const exchanges = []
+  api.subscribe(exchange => exchanges.push(exchange))
+
+  assert.deepEqual(await api.getProducts('Sweden & co'), [PRODUCT])
+  assert.equal(calls[0].url, 'http://api/products?country=Sweden%20%26%20co')
+  assert.equal(calls[0].method, 'GET')
+  assert.equal(exchanges.length, 1)
+  assert.equal(exchanges[0].status, 200)
+  assert.equal(exchanges[0].error, null)
+})
+
+test('applyDiscount sends a JSON body', async () => {
+  const { fetch, calls } = fakeFetch(json({ message: 'Discount applied successfully', product: PRODUCT }))
+  const data = await client(fetch).applyDiscount('tv/55', { discountId: 'SALE', percent: 10 })
+  assert.equal(data.message, 'Discount applied successfully')
+  assert.equal(calls[0].url, 'http://api/products/tv%2F55/discount')
+  assert.equal(calls[0].method, 'PUT')
+  assert.equal(calls[0].headers['Content-Type'], 'application/json')
+  assert.deepEqual(JSON.parse(calls[0].body), { discountId: 'SALE', percent: 10 })
+})
+
+test('502, 503 and 504 are retried with the same request', async () => {
+  const { fetch, calls } = fakeFetch(json({}, 502), json({}, 503), json({}, 504), json([PRODUCT]))
+  assert.deepEqual(await client(fetch, { retries: 3 }).getProducts('Sweden'), [PRODUCT])
+  assert.equal(calls.length, 4)
+  assert.ok(calls.every(c => c.url === calls[0].url))
+})
+
+test('the last gateway error is thrown once the retries are used up', async () => {
+  const { fetch, calls } = fakeFetch(new Response('Bad Gateway', { status: 503, statusText: 'Service Unavailable' }))
+  await rejects(client(fetch, { retries: 2 }).getProducts('Sweden'), { kind: 'http', status: 503 })
+  assert.equal(calls.length, 3)
+})
+
+test('other HTTP errors are not retried and keep the backend message', async () => {
+  const { fetch, calls } = fakeFetch(json({ error: 'Unsupported country: Norway', supportedCountries: ['Sweden'] }, 400))
+  await rejects(client(fetch).getProducts('Norway'), {
+    kind: 'http',
+    status: 400,
+    message: 'Unsupported country: Norway',
+    supportedCountries: ['Sweden']
+  })
+  assert.equal(calls.length, 1)
+
+  const server = fakeFetch(json({ error: 'Internal server error' }, 500))
+  await rejects(client(server.fetch).getProducts('Sweden'), { status: 500 })
+  assert.equal(server.calls.length, 1)
+})
+
+test('a request that outlasts the timeout is aborted and retried', async () => {
+  const hang = (url, init) => new Promise((resolve, reject) => {
+    init.signal.addEventListener('abort', () => reject(init.signal.reason))
+  })
+  const { fetch, calls } = fakeFetch(hang, json([PRODUCT]))
+  assert.deepEqual(await client(fetch, { timeout: 20, retries: 1 }).getProducts('Sweden'), [PRODUCT])
+  assert.equal(calls.length, 2)
+
+  const stuck = fakeFetch(hang)
+  await rejects(client(stuck.fetch, { timeout: 20, retries: 0 }).getProducts('Sweden'), { kind: 'timeout', message: 'Request timed out after 20ms' })
+})
+
+test('network failures become ApiError kind "network"', async () => {
+  const fetch = async () => { throw new TypeError('fetch failed') }
+  await rejects(client(fetch, { retries: 0 }).getProducts('Sweden'), { kind: 'network', status: 0, message: 'Network error: fetch failed' })
+})
+
+test('a 200 that is not JSON fails as "parse" without retrying', async () => {
+  const { fetch, calls } = fakeFetch(new Response('<!doctype html><div id="root"></div>', { status: 200 }))
+  await rejects(client(fetch).getProducts('Sweden'), { kind: 'parse', status: 200 })
+  assert.equal(calls.length, 1)
+})
+
+test('responses are validated against the OpenAPI schemas', async () => {
+  const { fetch } = fakeFetch(json([{ ...PRODUCT, finalPrice: '1250' }]))
+  await assert.rejects(client(fetch).getProducts('Sweden'), (e) => {
+    assert.equal(e.kind, 'validation')
+    assert.deepEqual(e.problems, ['$[0].finalPrice: expected number, got string'])
+    return true
+  })
+
+  const message = fakeFetch(json({ message: 'Done', product: PRODUCT }))
+  await assert.rejects(client(message.fetch).applyDiscount('laptop-se', { discountId: 'A', percent: 5 }), (e) => {
+    assert.equal(e.kind, 'validation')
+    assert.match(e.problems[0], /^\$\.message: must be one of/)
+    return true
+  })
+})
@@ -0,0 +1,83 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { CampaignFileError, campaignReport, parseCampaignFile, planCampaign } from '../src/lib/campaignImport.js'
+
+const catalog = new Map([
+  ['laptop-se', { id: 'laptop-se', name: 'Laptop', basePrice: 100, country: 'Sweden', discounts: [{ discountId: 'OLD', percent: 10 }] }],
+  ['oven-de', { id: 'oven-de', name: 'Oven', basePrice: 200, country: 'Germany', discounts: [] }]
+])
+
+const row = (line, productId, discountId, percent) => ({ line, productId, discountId, percent })
+
+test('parseCampaignFile reads CSV columns in any order and case, trimming ids', () => {
+  const rows = parseCampaignFile('campaign.csv', 'Percent,PRODUCTID,discountId\r\n10, laptop-se , SALE\r\n"5,5",oven-de,"A, B"\r\n')
+  assert.deepEqual(rows, [row(2, 'laptop-se', 'SALE', '10'), row(3, 'oven-de', 'A, B', '5,5')])
+})
+
+test('parseCampaignFile reads a JSON array or {rows}', () => {
+  const list = [{ productId: ' oven-de', discountId: 'X ', percent: 5 }, null]
+  const expected = [row(1, 'oven-de', 'X', 5), row(2, '', '', undefined)]
+  assert.deepEqual(parseCampaignFile('c.JSON', JSON.stringify(list)), expected)
+  assert.deepEqual(parseCampaignFile('c.json', JSON.stringify({ rows: list })), expected)
+})
+
+test('parseCampaignFile errors carry locale keys', () => {
+  const fails = (name, text, key, params = {}) => assert.throws(() => parseCampaignFile(name, text), (e) => {
+    assert.ok(e instanceof CampaignFileError)
+    assert.equal(e.key, key)
+    assert.deepEqual(e.params, params)
+    return true
+  })
+  fails('a.csv', '\n\n', 'import.file.empty')
+  fails('a.csv', 'productId,percent\nx,5', 'import.file.missingColumns', { columns: 'discountId' })
+  fails('a.json', '{"productId": 1}', 'import.file.notArray')
+  assert.throws(() => parseCampaignFile('a.json', '[oops'), (e) => e.key === 'import.file.invalidJson' && Boolean(e.params.detail))
+})
+
+test('planCampaign sorts rows into apply, skip and invalid', () => {
+  const plan = planCampaign([
+    row(2, 'laptop-se', 'NEW', '20'),
+    row(3, 'laptop-se', 'OLD', '10'),
+    row(4, 'laptop-se', 'OLD', '15'),
+    row(5, 'missing', 'NEW', '5'),
+    row(6, '', 'NEW', '5'),
+    row(7, 'oven-de', '', '150'),
+    row(8, 'laptop-se', 'NEW', '20')
+  ], catalog)
+
+  assert.deepEqual(plan.map(r => r.action), ['apply', 'skip', 'invalid', 'invalid', 'invalid', 'invalid', 'invalid'])
+  assert.deepEqual(plan[1].note, { key: 'import.note.alreadyApplied', params: {} })
+  assert.deepEqual(plan[2].errors, [{ key: 'import.errors.duplicateRow', params: {} }])
+  assert.deepEqual(plan[3].errors, [{ key: 'import.errors.productNotFound', params: { id: 'missing' } }])
+  assert.deepEqual(plan[4].errors, [{ key: 'import.errors.productRequired', params: {} }])
+  assert.deepEqual(plan[5].errors.map(e => e.key), ['validation.idRequired', 'validation.percentRange'])
+  assert.deepEqual(plan[6].errors.map(e => e.key), ['import.errors.duplicateRow'])
+})
+
+test('planCampaign notes when a skipped row asks for a different percent', () => {
+  const [plan] = planCampaign([row(2, 'laptop-se', 'OLD', 25)], catalog)
+  assert.equal(plan.action, 'skip')
+  assert.equal(plan.percent, 25)
+  assert.deepEqual(plan.note, { key: 'import.note.percentIgnored', params: { percent: 10 } })
+  assert.equal(plan.priceAfter, plan.priceBefore)
+})
+
+test('planCampaign prices accumulate across rows for the same product', () => {
+  const plan = planCampaign([row(2, 'oven-de', 'A', '10'), row(3, 'oven-de', 'B', '5'), row(4, 'oven-de', 'C', 'x')], catalog)
+  // 200 EUR + 19% VAT = 238.00; −10% = 214.20; then −5% = 203.49
+  assert.deepEqual(plan.map(r => [r.priceBefore, r.priceAfter]), [[238, 214.2], [214.2, 203.49], [203.49, 203.49]])
+  assert.ok(Number.isNaN(plan[2].percent))
+  assert.equal(plan[2].action, 'invalid')
+})
+
+test('campaignReport translates problems only when no outcome message exists', () => {
+  const plan = planCampaign([row(2, 'oven-de', 'A', '10'), row(3, 'nope', 'A', '10')], catalog)
+  plan[0] = { ...plan[0], outcome: 'applied', message: 'Discount applied successfully', finalPrice: 214.2 }
+  const t = (key, params) => `${key}${JSON.stringify(params)}`
+  const report = JSON.parse(campaignReport(plan, 'json', t))
+  assert.deepEqual(report.map(r => [r.outcome, r.message, r.finalPrice]), [
+    ['applied', 'Discount applied successfully', 214.2],
+    ['not sent', 'import.errors.productNotFound{"id":"nope"}', '']
+  ])
+  assert.equal(campaignReport(plan, 'csv', t).split('\r\n')[0], 'line,productId,discountId,percent,action,outcome,message,finalPrice')
+})
@@ -0,0 +1,37 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { fetchCountries } from '../src/lib/countries.js'
+
+const json = (body, status = 200) => new Response(JSON.stringify(body), { status })
+const html = () => new Response('<!doctype html><div id="root"></div>', { status: 200, headers: { 'Content-Type': 'text/html' } })
+
+// Backend stub: one handler per path
+let routes = {}
+globalThis.fetch = async (url) => {
+  const path = new URL(url, 'http://localhost').pathname
+  if (!routes[path]) throw new TypeError('fetch failed')
+  return routes[path]()
+}
+
+const OLD_BACKEND_PRODUCTS = () => json({ error: 'Unsupported country: _', supportedCountries: ['Sweden', 'Norway'] }, 400)
+
+test('fetchCountries returns GET /countries as is', async () => {
+  const list = [{ name: 'Sweden', vatRate: 0.25 }, { name: 'Norway', vatRate: 0.25 }]
+  routes = { '/countries': () => json(list) }
+  assert.deepEqual(await fetchCountries(), list)
+})
+
+test('without GET /countries, unknown countries are kept with vatRate null', async () => {
+  routes = { '/countries': () => json({ error: 'Not found' }, 404), '/products': OLD_BACKEND_PRODUCTS }
+  assert.deepEqual(await fetchCountries(), [{ name: 'Sweden', vatRate: 0.25 }, { name: 'Norway', vatRate: null }])
+})
+
+test('the static host answering GET /countries with index.html counts as a missing endpoint', async () => {
+  routes = { '/countries': html, '/products': OLD_BACKEND_PRODUCTS }
+  assert.deepEqual((await fetchCountries()).map(c => c.name), ['Sweden', 'Norway'])
+})
+
+test('other GET /countries failures are not mistaken for an old backend', async () => {
+  routes = { '/countries': () => json({ error: 'Bad request' }, 400), '/products': OLD_BACKEND_PRODUCTS }
+  await assert.rejects(fetchCountries(), { kind: 'http', status: 400 })
+})
@@ -0,0 +1,34 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { parseCsv, toCsv } from '../src/lib/csv.js'
+
+test('parseCsv splits rows and cells', () => {
+  assert.deepEqual(parseCsv('a,b,c\n1,2,3'), [['a', 'b', 'c'], ['1', '2', '3']])
+})
+
+test('parseCsv accepts CRLF, LF and CR line endings', () => {
+  assert.deepEqual(parseCsv('a,b\r\n1,2\r3,4\n5,6\r\n'), [['a', 'b'], ['1', '2'], ['3', '4'], ['5', '6']])
+})
+
+test('parseCsv handles quoted commas, newlines and escaped quotes', () => {
+  assert.deepEqual(parseCsv('name,note\r\n"Oven, 60cm","say ""hi""\nthere"'), [['name', 'note'], ['Oven, 60cm', 'say "hi"\nthere']])
+})
+
+test('parseCsv keeps empty cells and drops blank lines', () => {
+  assert.deepEqual(parseCsv('a,,c\n\n , \n,b,\n'), [['a', '', 'c'], ['', 'b', '']])
+  assert.deepEqual(parseCsv(''), [])
+})
+
+test('toCsv output parses back to the same cells', () => {
+  const records = [{ id: 'x', text: 'a, "b"\nc' }, { id: 'y', text: null }]
+  const csv = toCsv(records, [{ key: 'id', label: 'ID' }, { key: 'text', value: r => r.text }])
+  assert.equal(csv, 'ID,text\r\nx,"a, ""b""\nc"\r\ny,\r\n')
+  assert.deepEqual(parseCsv(csv), [['ID', 'text'], ['x', 'a, "b"\nc'], ['y', '']])
+})
+
+test('toCsv defuses text a spreadsheet would run as a formula, but leaves numbers alone', () => {
+  const records = [{ v: '=HYPERLINK("x")' }, { v: '+1' }, { v: '-SUM(A1)' }, { v: '@cmd' }, { v: 'a=b' }, { v: -5 }]
+  assert.deepEqual(parseCsv(toCsv(records, [{ key: 'v' }])).slice(1).flat(), [
+    `'=HYPERLINK("x")`, "'+1", "'-SUM(A1)", "'@cmd", 'a=b', '-5'
+  ])
+})
@@ -0,0 +1,96 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+
+// In-memory localStorage, set up before the module reads it
+const storage = new Map()
+globalThis.localStorage = {
+  getItem: (key) => storage.get(key) ?? null,
+  setItem: (key, value) => storage.set(key, String(value))
+}
+
+const {
+  availableDefinitions, definitionStatus, getLibrary, parseTags, removeDefinition, restoreDefinition, saveDefinition,
+  subscribeLibrary, todayKey, validateDefinition
+} = await import('../src/lib/discountLibrary.js')
+
+const stored = () => JSON.parse(storage.get('discount-ui-library'))
+
+const definition = (patch) => ({ code: 'EASTER', percent: 20, name: 'Easter', countries: [], validFrom: null, validTo: null, ...patch })
+
+test('an empty browser starts with the starter definitions', () => {
+  assert.deepEqual(getLibrary().map(d => d.code), ['SUMMER24', 'FLASH_SALE', 'VIP_DEAL'])
+})
+
+test('todayKey formats local dates like <input type="date">', () => {
+  assert.equal(todayKey(new Date(2024, 0, 5)), '2024-01-05')
+  assert.equal(todayKey(new Date(2024, 11, 31)), '2024-12-31')
+})
+
+test('definitionStatus treats both window ends as inclusive', () => {
+  const d = { validFrom: '2024-06-01', validTo: '2024-06-30' }
+  assert.equal(definitionStatus(d, '2024-05-31'), 'scheduled')
+  assert.equal(definitionStatus(d, '2024-06-01'), 'active')
+  assert.equal(definitionStatus(d, '2024-06-30'), 'active')
+  assert.equal(definitionStatus(d, '2024-07-01'), 'expired')
+  assert.equal(definitionStatus({ validFrom: null, validTo: null }, '1999-01-01'), 'active')
+})
+
+test('availableDefinitions keeps active ones meant for the country or for every country', () => {
+  const list = [
+    definition({ code: 'ALL' }),
+    definition({ code: 'SE', countries: ['Sweden'] }),
+    definition({ code: 'DE', countries: ['Germany'] }),
+    definition({ code: 'LATER', validFrom: '2024-07-01' })
+  ]
+  const codes = (options) => availableDefinitions(list, { day: '2024-06-15', ...options }).map(d => d.code)
+  assert.deepEqual(codes({ country: 'sweden' }), ['ALL', 'SE'])
+  assert.deepEqual(codes(), ['ALL', 'SE', 'DE'])
+})
+
+test('parseTags trims, lower-cases and drops blanks and repeats', () => {
+  assert.deepEqual(parseTags(' Promo, seasonal,,PROMO , '), ['promo', 'seasonal'])
+})
+
+test('validateDefinition reports each field as a locale key', () => {
+  const list = [definition({ id: 'a', code: 'TAKEN' })]
+  assert.deepEqual(validateDefinition(definition({ code: 'TAKEN' }), list).code, { key: 'library.errors.duplicateCode', params: { code: 'TAKEN' } })
+  assert.deepEqual(validateDefinition(definition({ id: 'a', code: 'TAKEN' }), list), {})
+  assert.deepEqual(Object.keys(validateDefinition(definition({ code: '', percent: 0, name: ' ' }), list)), ['code', 'percent', 'name'])
+  assert.deepEqual(
+    validateDefinition(definition({ validFrom: '2024-06-30', validTo: '2024-06-01' }), list).validTo,
+    { key: 'library.errors.windowOrder', params: {} }
+  )
+})
+
+test('saveDefinition stores new definitions, replaces edited ones and persists the library', () => {
+  let notified = 0
+  const unsubscribe = subscribeLibrary(() => notified++)
+
+  const created = saveDefinition(definition({ name: ' Easter ', percent: '20' }))
+  assert.ok(created.id)
+  assert.equal(created.name, 'Easter')
+  assert.equal(created.percent, 20)
+  assert.deepEqual(created.tags, [])
+
+  saveDefinition({ ...created, percent: 25 })
+  assert.equal(getLibrary().filter(d => d.code === 'EASTER').length, 1)
+  assert.equal(getLibrary().at(-1).percent, 25)
+  assert.deepEqual(stored(), getLibrary())
+  assert.equal(notified, 2)
+  unsubscribe()
+
+  assert.throws(() => saveDefinition(definition({ code: 'EASTER' })), /Invalid discount definition: EASTER/)
+})
+
+test('restoreDefinition puts a removed definition back in place, once', () => {
+  const index = getLibrary().findIndex(d => d.code === 'FLASH_SALE')
+  const removed = getLibrary()[index]
+  removeDefinition(removed.id)
+  assert.equal(getLibrary().some(d => d.id === removed.id), false)
+
+  restoreDefinition(removed, index)
+  restoreDefinition(removed, index)
+  assert.equal(getLibrary()[index], removed)
+  assert.equal(getLibrary().filter(d => d.id === removed.id).length, 1)
+  assert.deepEqual(stored(), getLibrary())
+})
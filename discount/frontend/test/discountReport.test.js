@@ -0,0 +1,73 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { parseCsv } from '../src/lib/csv.js'
+import { buildDiscountReport, discountSavings, reportToCsv } from '../src/lib/discountReport.js'
+import { convertAmount } from '../src/lib/format.js'
+
+const product = (id, country, basePrice, discounts = []) => ({ id, name: `Product ${id}`, country, basePrice, discounts })
+
+const CATALOG = [
+  {
+    country: 'Germany',
+    products: [
+      product('oven-de', 'Germany', 1000, [{ discountId: 'SUMMER', percent: 10 }, { discountId: 'VIP', percent: 50 }]),
+      product('fridge-de', 'Germany', 500)
+    ]
+  },
+  { country: 'Sweden', products: [product('laptop-se', 'Sweden', 1000, [{ discountId: 'SUMMER', percent: 20 }])] }
+]
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} ≈ ${expected}`)
+
+test('discountSavings credits each code with its compounding step, VAT included', () => {
+  const [summer, vip] = discountSavings(CATALOG[0].products[0])
+  assert.equal(summer.discountId, 'SUMMER')
+  close(summer.savings, 100 * 1.19)
+  // 50% of the 900 left after SUMMER
+  close(vip.savings, 450 * 1.19)
+  assert.deepEqual(discountSavings(CATALOG[0].products[1]), [])
+})
+
+test('buildDiscountReport pivots codes across countries in EUR, largest saving first', () => {
+  const report = buildDiscountReport(CATALOG)
+  const sekInEur = convertAmount(200 * 1.25, 'SEK', 'EUR')
+
+  assert.deepEqual(report.codes.map(c => c.discountId), ['VIP', 'SUMMER'])
+  const summer = report.codes[1]
+  assert.equal(summer.productCount, 2)
+  close(summer.savingsEur, 119 + sekInEur)
+  assert.equal(summer.byCountry.Sweden.productCount, 1)
+  close(summer.byCountry.Sweden.savingsEur, sekInEur)
+  assert.deepEqual(summer.products.map(p => p.id), ['oven-de', 'laptop-se'])
+
+  const [germany, sweden] = report.countries
+  assert.equal(germany.productCount, 2)
+  assert.equal(germany.discountedCount, 1)
+  // oven 55% off, fridge 0%
+  close(germany.averageDiscountPercent, 27.5)
+  close(germany.savingsEur, 550 * 1.19)
+  close(sweden.averageDiscountPercent, 20)
+
+  assert.deepEqual(report.undiscounted.map(p => p.id), ['fridge-de'])
+  assert.equal(report.totals.products, 3)
+  assert.equal(report.totals.discounted, 2)
+  assert.equal(report.totals.codes, 2)
+  close(report.totals.savingsEur, 550 * 1.19 + sekInEur)
+})
+
+test('buildDiscountReport handles an empty catalog', () => {
+  assert.deepEqual(buildDiscountReport([]), { codes: [], countries: [], undiscounted: [], totals: { products: 0, discounted: 0, codes: 0, savingsEur: 0 } })
+})
+
+test('reportToCsv has a row per code and product, then the undiscounted products', () => {
+  const [header, ...rows] = parseCsv(reportToCsv(buildDiscountReport(CATALOG)))
+  assert.deepEqual(header, ['discountId', 'productId', 'productName', 'country', 'percent', 'savings', 'currency', 'savingsEur'])
+  assert.deepEqual(rows.map(r => [r[0], r[1], r[6]]), [
+    ['VIP', 'oven-de', 'EUR'],
+    ['SUMMER', 'oven-de', 'EUR'],
+    ['SUMMER', 'laptop-se', 'SEK'],
+    ['', 'fridge-de', 'EUR']
+  ])
+  assert.deepEqual(rows[1].slice(4, 6), ['10', '119'])
+  assert.deepEqual(rows[3].slice(4), ['0', '0', 'EUR', '0'])
+})
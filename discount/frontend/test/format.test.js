@@ -0,0 +1,41 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  convertAmount, formatMoney, formatPrice, getDisplayCurrency, priceParts, setDisplayCurrency, subscribeDisplayCurrency
+} from '../src/lib/format.js'
+
+// Intl uses (narrow) no-break spaces as group and currency separators
+const plain = (s) => s?.replace(/\s/g, ' ')
+
+test('formatMoney follows the locale and currency', () => {
+  assert.equal(plain(formatMoney(1234.5, 'SEK', 'sv-SE')), '1 234,50 kr')
+  assert.equal(plain(formatMoney(1234.5, 'EUR', 'de-DE')), '1.234,50 €')
+  assert.equal(plain(formatMoney(0.125, 'EUR', 'en-GB', 4)), '€0.1250')
+})
+
+test('convertAmount goes through the base currency', () => {
+  const table = { base: 'EUR', rates: { EUR: 1, SEK: 10, USD: 2 } }
+  assert.equal(convertAmount(100, 'SEK', 'USD', table), 20)
+  assert.equal(convertAmount(5, 'EUR', 'EUR', table), 5)
+  assert.equal(convertAmount(5, 'EUR', 'JPY', table), null)
+})
+
+test('priceParts shows the converted amount only for another currency', () => {
+  assert.deepEqual(priceParts(100, 'Germany', { displayCurrency: 'EUR' }), { original: priceParts(100, 'Germany').original, converted: null })
+  const { original, converted } = priceParts(1112, 'Sweden', { displayCurrency: 'EUR' })
+  assert.equal(plain(original), '1 112,00 kr')
+  assert.equal(plain(converted), '100,00 €')
+  assert.equal(plain(formatPrice(1112, 'sweden', { displayCurrency: 'EUR' })), '1 112,00 kr (≈ 100,00 €)')
+})
+
+test('setDisplayCurrency ignores unknown codes and notifies subscribers', () => {
+  const seen = []
+  const unsubscribe = subscribeDisplayCurrency(() => seen.push(getDisplayCurrency()))
+  setDisplayCurrency('USD')
+  setDisplayCurrency('XYZ')
+  unsubscribe()
+  setDisplayCurrency('GBP')
+  assert.deepEqual(seen, ['USD', ''])
+  assert.equal(getDisplayCurrency(), 'GBP')
+  setDisplayCurrency('')
+})
@@ -0,0 +1,55 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { toHar } from '../src/lib/har.js'
+
+const put = {
+  timestamp: '2026-01-02T10:00:01.000Z',
+  type: 'Discount',
+  method: 'PUT',
+  url: '/products/laptop-se/discount',
+  body: { discountId: 'SALE', percent: 10 },
+  status: 200,
+  duration: 42,
+  response: { message: 'Discount applied successfully' }
+}
+const get = {
+  timestamp: '2026-01-02T10:00:00.000Z',
+  type: 'Products',
+  method: 'GET',
+  url: '/products?country=Sweden',
+  status: 200,
+  duration: 7,
+  response: []
+}
+
+test('toHar orders entries by time and leaves out synthetic ones', () => {
+  const har = toHar([put, { ...put, synthetic: true, timestamp: '2026-01-01T00:00:00.000Z' }, get], 'http://api')
+  assert.equal(har.log.version, '1.2')
+  assert.deepEqual(har.log.entries.map(e => e.request.url), ['http://api/products?country=Sweden', 'http://api/products/laptop-se/discount'])
+  assert.deepEqual(har.log.entries.map(e => e.comment), ['Products', 'Discount'])
+})
+
+test('toHar records query strings and JSON bodies', () => {
+  const [getEntry, putEntry] = toHar([get, put], 'http://api').log.entries
+
+  assert.deepEqual(getEntry.request.queryString, [{ name: 'country', value: 'Sweden' }])
+  assert.equal(getEntry.request.postData, undefined)
+  assert.equal(getEntry.request.bodySize, 0)
+  assert.deepEqual(getEntry.request.headers, [])
+  assert.equal(getEntry.response.content.text, '[]')
+
+  const text = '{"discountId":"SALE","percent":10}'
+  assert.deepEqual(putEntry.request.postData, { mimeType: 'application/json', text })
+  assert.equal(putEntry.request.bodySize, text.length)
+  assert.equal(putEntry.response.status, 200)
+  assert.equal(putEntry.time, 42)
+  assert.deepEqual(putEntry.timings, { send: 0, wait: 42, receive: 0 })
+})
+
+test('toHar resolves logged paths against the API base and handles missing responses', () => {
+  const [entry] = toHar([{ ...get, url: '/health', response: null, status: 0 }], 'https://example.com/api').log.entries
+  assert.equal(entry.request.url, 'https://example.com/api/health')
+  assert.equal(toHar([get], '').log.entries[0].request.url, 'http://localhost:8082/products?country=Sweden')
+  assert.equal(entry.response.content.text, '')
+  assert.equal(entry.response.bodySize, 0)
+})
@@ -0,0 +1,88 @@
+import { afterEach, beforeEach, mock, test } from 'node:test'
+import assert from 'node:assert/strict'
+import { canMutate, checkHealth, getHealth, subscribeHealth } from '../src/lib/health.js'
+
+const json = (body, status = 200) => new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } })
+
+// Backend stub: answers per path, or throws like a refused connection when the handler is missing
+let routes = {}
+let calls = []
+globalThis.fetch = async (url) => {
+  const path = new URL(url, 'http://localhost').pathname
+  calls.push(path)
+  if (!routes[path]) throw new TypeError('fetch failed')
+  return routes[path]()
+}
+
+const noop = () => {}
+globalThis.document = { hidden: false, addEventListener: noop, removeEventListener: noop }
+globalThis.window = { addEventListener: noop, removeEventListener: noop }
+
+const UP = {
+  '/health': () => json({ status: 'healthy' }),
+  '/db/status': () => json({ connected: true, type: 'PostgreSQL' })
+}
+
+beforeEach(() => {
+  routes = UP
+  calls = []
+})
+
+afterEach(() => mock.timers.reset())
+
+test('a reachable API and database report up', async () => {
+  await checkHealth()
+  const health = getHealth()
+  assert.equal(health.status, 'up')
+  assert.deepEqual(health.db, { connected: true, type: 'PostgreSQL' })
+  assert.equal(health.failures, 0)
+  assert.equal(typeof health.latency, 'number')
+  assert.ok(canMutate())
+})
+
+test('a failing database check means degraded, not down', async () => {
+  routes = { ...UP, '/db/status': () => json({ error: 'boom' }, 500) }
+  await checkHealth()
+  assert.equal(getHealth().status, 'degraded')
+  assert.deepEqual(getHealth().db, { connected: false, type: null })
+  assert.equal(canMutate(), false)
+})
+
+test('concurrent checks share one request', async () => {
+  await Promise.all([checkHealth(), checkHealth(), checkHealth()])
+  assert.deepEqual(calls, ['/health', '/db/status'])
+})
+
+test('failures back off from 2s, doubling up to a minute', async () => {
+  mock.timers.enable({ apis: ['setTimeout'] })
+  routes = {}
+  const unsubscribe = subscribeHealth(noop)
+  const delays = []
+  try {
+    for (let i = 0; i < 7; i++) {
+      await checkHealth()
+      const { nextCheck, lastCheck, failures } = getHealth()
+      assert.equal(failures, i + 1)
+      // nextCheck is set a moment after lastCheck; round away the few ms in between
+      delays.push(Math.round((nextCheck - lastCheck) / 1000))
+    }
+    assert.deepEqual(delays, [2, 4, 8, 16, 32, 60, 60])
+    assert.equal(getHealth().status, 'down')
+    assert.equal(getHealth().error, 'Network error: fetch failed')
+    assert.equal(canMutate(), false)
+
+    routes = UP
+    await checkHealth()
+    assert.equal(getHealth().failures, 0)
+    assert.equal(Math.round((getHealth().nextCheck - getHealth().lastCheck) / 1000), 15)
+  } finally {
+    unsubscribe()
+  }
+})
+
+test('the history keeps the last 30 samples', async () => {
+  for (let i = 0; i < 35; i++) await checkHealth()
+  const { history } = getHealth()
+  assert.equal(history.length, 30)
+  assert.ok(history.every(sample => sample.ok))
+})
@@ -0,0 +1,18 @@
+// Module hooks that let node --test import the Vite sources as they are: extensionless relative imports
+// resolve to the .js file next to them, and JSON files load as their parsed default export
+import { readFile } from 'node:fs/promises'
+
+const RELATIVE_WITHOUT_EXTENSION = /^\.{1,2}\/(?:.*\/)?[^./]+$/
+
+export async function resolve(specifier, context, nextResolve) {
+  if (RELATIVE_WITHOUT_EXTENSION.test(specifier)) return nextResolve(`${specifier}.js`, context)
+  return nextResolve(specifier, context)
+}
+
+export async function load(url, context, nextLoad) {
+  if (url.endsWith('.json')) {
+    const source = await readFile(new URL(url), 'utf8')
+    return { format: 'module', source: `export default ${source}`, shortCircuit: true }
+  }
+  return nextLoad(url, context)
+}
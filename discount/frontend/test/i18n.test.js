@@ -0,0 +1,48 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import de from '../src/locales/de.json'
+import en from '../src/locales/en.json'
+import fr from '../src/locales/fr.json'
+import sv from '../src/locales/sv.json'
+import { getLanguageState, setAutoLanguage, setLanguage, subscribeLanguage, translate } from '../src/lib/i18n.js'
+
+test('translate fills placeholders and leaves unknown ones alone', () => {
+  assert.equal(translate('en', 'import.chooseAnother', { name: 'a.csv' }), '📄 a.csv — choose another')
+  assert.equal(translate('en', 'import.chooseAnother'), '📄 {name} — choose another')
+})
+
+test('translate picks the plural form for params.count', () => {
+  assert.equal(translate('en', 'import.apply', { count: 1 }), 'Apply 1 row')
+  assert.equal(translate('en', 'import.apply', { count: 3 }), 'Apply 3 rows')
+  assert.equal(translate('en', 'import.apply', { count: 0 }), 'Apply 0 rows')
+  // French treats 0 as singular
+  assert.equal(translate('fr', 'import.apply', { count: 0 }), 'Appliquer 0 ligne')
+})
+
+test('translate falls back to English, then to the key', () => {
+  assert.equal(translate('xx', 'import.chooseFile'), en['import.chooseFile'])
+  assert.equal(translate('sv', 'no.such.key'), 'no.such.key')
+})
+
+test('every catalog has the same keys and plural shapes as English', () => {
+  for (const [name, catalog] of Object.entries({ sv, de, fr })) {
+    assert.deepEqual(Object.keys(catalog).sort(), Object.keys(en).sort(), name)
+    for (const [key, value] of Object.entries(en)) {
+      assert.equal(typeof catalog[key], typeof value, `${name} ${key}`)
+      if (typeof value === 'object') assert.ok(catalog[key].other, `${name} ${key}.other`)
+    }
+  }
+})
+
+test('an explicit language choice wins over the automatic one', () => {
+  let calls = 0
+  const unsubscribe = subscribeLanguage(() => calls++)
+  setAutoLanguage('de')
+  setLanguage('fr')
+  assert.deepEqual(getLanguageState(), { chosen: 'fr', auto: 'de' })
+  setLanguage('klingon')
+  setAutoLanguage('xx')
+  assert.deepEqual(getLanguageState(), { chosen: '', auto: 'en' })
+  unsubscribe()
+  assert.equal(calls, 4)
+})
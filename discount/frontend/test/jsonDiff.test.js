@@ -0,0 +1,24 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { diffJson } from '../src/lib/jsonDiff.js'
+
+test('diffJson returns nothing for equal values', () => {
+  assert.deepEqual(diffJson({ a: [1, { b: 2 }] }, { a: [1, { b: 2 }] }), [])
+  assert.deepEqual(diffJson(NaN, NaN), [])
+})
+
+test('diffJson reports added, removed and changed paths', () => {
+  const before = { finalPrice: 125, discounts: [{ discountId: 'A', percent: 10 }], note: 'x' }
+  const after = { finalPrice: 112.5, discounts: [{ discountId: 'A', percent: 10 }, { discountId: 'B', percent: 5 }], extra: true }
+  assert.deepEqual(diffJson(before, after), [
+    { path: '$.finalPrice', type: 'changed', before: 125, after: 112.5 },
+    { path: '$.discounts[1]', type: 'added', before: undefined, after: { discountId: 'B', percent: 5 } },
+    { path: '$.note', type: 'removed', before: 'x', after: undefined },
+    { path: '$.extra', type: 'added', before: undefined, after: true }
+  ])
+})
+
+test('diffJson treats a type change as a single change', () => {
+  assert.deepEqual(diffJson({ a: [1] }, { a: { 0: 1 } }), [{ path: '$.a', type: 'changed', before: [1], after: { 0: 1 } }])
+  assert.deepEqual(diffJson(null, {}), [{ path: '$', type: 'changed', before: null, after: {} }])
+})
@@ -0,0 +1,124 @@
+import { afterEach, beforeEach, mock, test } from 'node:test'
+import assert from 'node:assert/strict'
+import { getLiveUpdates, subscribeLiveUpdates } from '../src/lib/liveUpdates.js'
+import { getProductState, setProducts } from '../src/lib/productStore.js'
+
+// EventSource stub: tests fire the stream's events by hand
+let sources = []
+class FakeEventSource {
+  constructor(url) {
+    this.url = url
+    this.handlers = {}
+    this.closed = false
+    sources.push(this)
+  }
+
+  addEventListener(type, handler) {
+    this.handlers[type] = handler
+  }
+
+  emit(type, data) {
+    this.handlers[type]?.(data === undefined ? {} : { data: JSON.stringify(data) })
+  }
+
+  close() {
+    this.closed = true
+  }
+}
+
+const windowListeners = {}
+globalThis.window = {
+  addEventListener: (type, handler) => { windowListeners[type] = handler },
+  removeEventListener: (type) => { delete windowListeners[type] }
+}
+
+const noop = () => {}
+const latest = () => sources.at(-1)
+
+beforeEach(() => {
+  sources = []
+  globalThis.EventSource = FakeEventSource
+  mock.timers.enable({ apis: ['setTimeout', 'Date'] })
+})
+
+afterEach(() => mock.timers.reset())
+
+test('the first subscriber opens the stream and the last one closes it', () => {
+  const first = subscribeLiveUpdates(() => {})
+  const second = subscribeLiveUpdates(() => {})
+  assert.equal(sources.length, 1)
+  assert.match(latest().url, /\/events$/)
+  assert.equal(getLiveUpdates().status, 'connecting')
+
+  latest().emit('open')
+  assert.equal(getLiveUpdates().status, 'open')
+
+  first()
+  assert.equal(latest().closed, false)
+  second()
+  assert.equal(latest().closed, true)
+  assert.equal(getLiveUpdates().status, 'connecting')
+})
+
+test('errors reconnect after 1s, doubling up to 30s, and an open connection resets the delay', () => {
+  const unsubscribe = subscribeLiveUpdates(noop)
+  const delays = []
+  for (let i = 0; i < 7; i++) {
+    const failed = latest()
+    failed.emit('error')
+    assert.equal(failed.closed, true)
+    assert.equal(getLiveUpdates().status, 'reconnecting')
+    const delay = getLiveUpdates().nextAttempt - Date.now()
+    delays.push(delay / 1000)
+
+    mock.timers.tick(delay - 1)
+    assert.equal(latest(), failed, 'reconnected too early')
+    mock.timers.tick(1)
+    assert.notEqual(latest(), failed)
+  }
+  assert.deepEqual(delays, [1, 2, 4, 8, 16, 30, 30])
+  assert.equal(getLiveUpdates().failures, 7)
+
+  latest().emit('open')
+  assert.equal(getLiveUpdates().failures, 0)
+  latest().emit('error')
+  assert.equal(getLiveUpdates().nextAttempt - Date.now(), 1000)
+  unsubscribe()
+})
+
+test('coming back online retries right away', () => {
+  const unsubscribe = subscribeLiveUpdates(noop)
+  latest().emit('error')
+  assert.equal(sources.length, 1)
+
+  windowListeners.online()
+  assert.equal(sources.length, 2)
+  assert.equal(getLiveUpdates().status, 'connecting')
+  unsubscribe()
+})
+
+test('product-changed events update the product store and highlight the product for a while', () => {
+  const laptop = { id: 'laptop-se', name: 'Laptop', basePrice: 1000, country: 'Sweden', discounts: [], finalPrice: 1250 }
+  setProducts('Sweden', [laptop])
+  const unsubscribe = subscribeLiveUpdates(noop)
+  latest().emit('open')
+
+  const changed = { ...laptop, discounts: [{ discountId: 'SUMMER', percent: 10 }], finalPrice: 1125 }
+  latest().emit('product-changed', { product: changed })
+  latest().handlers['product-changed']({ data: 'not json' })
+
+  assert.deepEqual(getProductState().lists.Sweden.products, [changed])
+  assert.deepEqual(getLiveUpdates().lastEvent, { product: changed })
+  assert.ok('laptop-se' in getLiveUpdates().changed)
+
+  mock.timers.tick(4000)
+  assert.deepEqual(getLiveUpdates().changed, {})
+  unsubscribe()
+})
+
+test('without EventSource the status is unsupported', () => {
+  delete globalThis.EventSource
+  const unsubscribe = subscribeLiveUpdates(noop)
+  assert.equal(getLiveUpdates().status, 'unsupported')
+  unsubscribe()
+})
@@ -0,0 +1,68 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { ALREADY_APPLIED, APPLIED, buildReport, percentile, planRequests } from '../src/lib/loadTest.js'
+
+const config = { totalRequests: 6, products: ['a', 'b'], poolSize: 2, percent: 10, prefix: 'LT', runId: 'r1' }
+
+test('planRequests assigns products round-robin', () => {
+  const plan = planRequests({ ...config, collision: 'same' })
+  assert.deepEqual(plan.map(r => r.productId), ['a', 'b', 'a', 'b', 'a', 'b'])
+  assert.ok(plan.every(r => r.percent === 10))
+})
+
+test('planRequests follows the collision pattern', () => {
+  const ids = (collision) => planRequests({ ...config, collision }).filter(r => r.productId === 'a').map(r => r.discountId)
+  assert.deepEqual(ids('same'), ['LT_r1_0', 'LT_r1_0', 'LT_r1_0'])
+  assert.deepEqual(ids('pool'), ['LT_r1_0', 'LT_r1_1', 'LT_r1_0'])
+  assert.deepEqual(ids('unique'), ['LT_r1_0', 'LT_r1_1', 'LT_r1_2'])
+})
+
+test('planRequests rejects bad configs', () => {
+  assert.throws(() => planRequests({ ...config, products: [], collision: 'same' }), /At least one product/)
+  assert.throws(() => planRequests({ ...config, collision: 'random' }), /Unknown collision pattern: random/)
+})
+
+test('percentile uses the nearest rank', () => {
+  const sorted = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10]
+  assert.equal(percentile(sorted, 50), 5)
+  assert.equal(percentile(sorted, 95), 10)
+  assert.equal(percentile(sorted, 0), 1)
+  assert.equal(percentile([], 50), 0)
+})
+
+const sample = (productId, discountId, message, duration, status = 200) => ({ productId, discountId, message, duration, status })
+
+test('buildReport passes when each pair is applied exactly once', () => {
+  const report = buildReport([
+    sample('a', 'X', APPLIED, 12),
+    sample('a', 'X', ALREADY_APPLIED, 30),
+    sample('b', 'X', APPLIED, 8),
+    sample('b', 'X', ALREADY_APPLIED, 600)
+  ], 2000)
+
+  assert.equal(report.total, 4)
+  assert.equal(report.throughput, 2)
+  assert.equal(report.applied, 2)
+  assert.equal(report.alreadyApplied, 2)
+  assert.equal(report.failed, 0)
+  assert.deepEqual(report.latency, { min: 8, p50: 12, p95: 600, p99: 600, max: 600, mean: 162.5 })
+  assert.deepEqual(report.histogram.filter(b => b.count).map(b => [b.le, b.count]), [[10, 1], [25, 1], [50, 1], [1000, 1]])
+  assert.deepEqual(report.statusCodes, { 200: 4 })
+  assert.deepEqual(report.invariant, { passed: true, pairs: 2, violations: [] })
+})
+
+test('buildReport flags double applies, missing applies and failures', () => {
+  const report = buildReport([
+    sample('a', 'X', APPLIED, 5),
+    sample('a', 'X', APPLIED, 5),
+    sample('b', 'X', ALREADY_APPLIED, 5),
+    sample('c', 'X', APPLIED, 5),
+    sample('c', 'X', undefined, 5, 0)
+  ], 0)
+
+  assert.equal(report.throughput, 0)
+  assert.equal(report.failed, 1)
+  assert.deepEqual(report.statusCodes, { 200: 4, 'network error': 1 })
+  assert.equal(report.invariant.passed, false)
+  assert.deepEqual(report.invariant.violations.map(v => [v.productId, v.applied, v.failed]), [['a', 2, 0], ['b', 0, 0], ['c', 1, 1]])
+})
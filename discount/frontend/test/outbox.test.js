@@ -0,0 +1,80 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  clearFinishedOutbox, enqueueDiscount, flushOutbox, getOutbox, isOfflineError, removeOutboxItem, subscribeOutbox
+} from '../src/lib/outbox.js'
+
+const LAPTOP = { id: 'laptop-se', name: 'Laptop', basePrice: 1000, country: 'Sweden', discounts: [], finalPrice: 1250 }
+
+const json = (body, status = 200) => new Response(JSON.stringify(body), { status })
+
+// Backend stub: one handler per queued request, in order; IndexedDB is absent under node, so the outbox lives in memory
+let replies = []
+const sent = []
+globalThis.fetch = async (url, init) => {
+  sent.push(JSON.parse(init.body).discountId)
+  const reply = replies.shift()
+  if (!reply) throw new TypeError('fetch failed')
+  return reply()
+}
+
+const applied = (message = 'Discount applied successfully') => () => json({ message, product: { ...LAPTOP, finalPrice: 1125 } })
+
+const reset = async () => {
+  replies = []
+  sent.length = 0
+  await Promise.all(getOutbox().map(i => removeOutboxItem(i.id)))
+}
+
+test('isOfflineError covers network trouble, not rejections', () => {
+  assert.ok(isOfflineError({ kind: 'network' }))
+  assert.ok(isOfflineError({ kind: 'timeout' }))
+  assert.ok(isOfflineError({ kind: 'http', status: 503 }))
+  assert.equal(isOfflineError({ kind: 'http', status: 400 }), false)
+  assert.equal(isOfflineError(undefined), false)
+})
+
+test('enqueueDiscount returns the waiting item instead of a duplicate', async () => {
+  await reset()
+  let notified = 0
+  const unsubscribe = subscribeOutbox(() => notified++)
+  const first = await enqueueDiscount(LAPTOP, { discountId: 'SALE', percent: 10 })
+  const again = await enqueueDiscount(LAPTOP, { discountId: 'SALE', percent: 10 })
+  await enqueueDiscount(LAPTOP, { discountId: 'OTHER', percent: 5 })
+  unsubscribe()
+
+  assert.equal(again.id, first.id)
+  assert.deepEqual(getOutbox().map(i => [i.discountId, i.status]), [['SALE', 'queued'], ['OTHER', 'queued']])
+  assert.equal(first.productName, 'Laptop')
+  assert.equal(notified, 2)
+})
+
+test('flushOutbox sends in order and records each outcome', async () => {
+  await reset()
+  for (const discountId of ['A', 'B', 'C']) await enqueueDiscount(LAPTOP, { discountId, percent: 10 })
+  replies = [applied(), applied('Discount already applied'), () => json({ error: 'Discount percent must be between 0 (exclusive) and 100 (inclusive)' }, 400)]
+
+  assert.equal(await flushOutbox(), 3)
+  assert.deepEqual(sent, ['A', 'B', 'C'])
+  assert.deepEqual(getOutbox().map(i => [i.status, i.attempts]), [['applied', 1], ['already applied', 1], ['failed', 1]])
+  assert.equal(getOutbox()[0].finalPrice, 1125)
+  assert.match(getOutbox()[2].message, /between 0/)
+
+  await clearFinishedOutbox()
+  assert.deepEqual(getOutbox(), [])
+})
+
+test('flushOutbox stops at the first network failure and keeps the rest queued', async () => {
+  await reset()
+  for (const discountId of ['A', 'B']) await enqueueDiscount(LAPTOP, { discountId, percent: 10 })
+
+  // No replies: every attempt (including the client's retries) fails on the network
+  assert.equal(await flushOutbox(), 0)
+  assert.deepEqual([...new Set(sent)], ['A'])
+  assert.deepEqual(getOutbox().map(i => i.status), ['queued', 'queued'])
+  assert.equal(getOutbox()[0].message, 'Network error: fetch failed')
+
+  replies = [applied(), applied()]
+  assert.equal(await flushOutbox(), 2)
+  assert.deepEqual(getOutbox().map(i => [i.status, i.attempts]), [['applied', 2], ['applied', 1]])
+})
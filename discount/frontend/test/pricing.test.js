@@ -0,0 +1,98 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  calculateFinalPrice,
+  calculateTotalDiscountPercent,
+  checkPriceConsistency,
+  findVatRate,
+  getVatPercent,
+  getVatRate,
+  priceBreakdown,
+  roundToCents,
+  simulateDiscounts
+} from '../src/lib/pricing.js'
+import { getCountries, setCountries } from '../src/lib/countries.js'
+
+const product = (basePrice, country, percents = []) => ({
+  id: 'p',
+  basePrice,
+  country,
+  discounts: percents.map((percent, i) => ({ discountId: `D${i}`, percent }))
+})
+
+// Expected values are what PriceCalculationService returns (see ApplicationTests.kt for the first two)
+test('single discount matches the server: 100 SEK −10% + 25% VAT = 112.50', () => {
+  assert.equal(calculateFinalPrice(product(100, 'Sweden', [10])), 112.5)
+})
+
+test('compound discounts match the server: 200 EUR −10% −5% + 20% VAT = 205.20', () => {
+  assert.equal(calculateFinalPrice(product(200, 'France', [10, 5])), 205.2)
+})
+
+test('discounts compound instead of adding up', () => {
+  assert.equal(roundToCents(calculateTotalDiscountPercent([{ percent: 10 }, { percent: 5 }])), 14.5)
+  assert.equal(calculateTotalDiscountPercent([{ percent: 50 }, { percent: 50 }]), 75)
+  assert.equal(calculateTotalDiscountPercent([]), 0)
+})
+
+test('VAT is added after the discounts, per country and case-insensitively', () => {
+  assert.equal(calculateFinalPrice(product(1000, 'Sweden')), 1250)
+  assert.equal(calculateFinalPrice(product(800, 'germany')), 952)
+  assert.equal(calculateFinalPrice(product(899.99, 'FRANCE', [15])), 917.99)
+  assert.equal(getVatRate(' Germany '), 0.19)
+})
+
+test('an explicit VAT rate overrides the country', () => {
+  assert.equal(calculateFinalPrice(product(100, 'Sweden', [10]), 0), 90)
+})
+
+test('unsupported countries throw', () => {
+  assert.throws(() => calculateFinalPrice(product(100, 'Norway')), /Unsupported country: Norway/)
+})
+
+test('countries listed without a VAT rate have no rate or percent, and pricing them throws', () => {
+  const saved = getCountries()
+  setCountries([...saved, { name: 'Norway', vatRate: null }])
+  try {
+    assert.equal(findVatRate('norway'), null)
+    assert.equal(getVatPercent('Norway'), null)
+    assert.throws(() => calculateFinalPrice(product(100, 'Norway')), /VAT rate unknown for Norway/)
+    assert.equal(findVatRate('Germany'), 0.19)
+    assert.equal(getVatPercent('Germany'), 19)
+  } finally {
+    setCountries(saved)
+  }
+})
+
+test('half-cent ties round up like Kotlin roundToInt, not like toFixed', () => {
+  // raw prices 0.595, 1.575 and 1.785 are exact ties in floating point; toFixed(2) would give 0.59, 1.57 and 1.78
+  assert.equal(calculateFinalPrice(product(1, 'Germany', [50])), 0.6)
+  assert.equal(calculateFinalPrice(product(1.4, 'Sweden', [10])), 1.58)
+  assert.equal(calculateFinalPrice(product(1.5, 'Germany')), 1.79)
+  assert.equal(calculateFinalPrice(product(0.06, 'Sweden')), 0.08)
+})
+
+test('priceBreakdown steps end at the final price', () => {
+  const p = product(200, 'France', [10, 5])
+  const breakdown = priceBreakdown(p)
+  assert.deepEqual(breakdown.steps.map(s => s.type), ['base', 'discount', 'discount', 'vat', 'rounded'])
+  assert.deepEqual(breakdown.steps[1], { type: 'discount', discountId: 'D0', percent: 10, value: 180 })
+  assert.equal(breakdown.steps[3].percent, 20)
+  assert.equal(breakdown.finalPrice, calculateFinalPrice(p))
+  assert.equal(roundToCents(breakdown.vatAmount), 34.2)
+})
+
+test('checkPriceConsistency tolerates less than half a cent', () => {
+  assert.equal(checkPriceConsistency({ ...product(100, 'Sweden', [10]), finalPrice: 112.5 }).matches, true)
+  assert.equal(checkPriceConsistency({ ...product(100, 'Sweden', [10]), finalPrice: 112.51 }).matches, false)
+  assert.deepEqual(checkPriceConsistency({ ...product(100, 'Norway'), finalPrice: 1 }), { expected: null, actual: 1, matches: true })
+})
+
+test('simulateDiscounts skips codes already on the product', () => {
+  const sim = simulateDiscounts(product(100, 'Sweden', [10]), [{ discountId: 'D0', percent: 50 }, { discountId: 'NEW', percent: 20 }])
+  assert.deepEqual(sim.ignored.map(d => d.discountId), ['D0'])
+  assert.equal(sim.currentPrice, 112.5)
+  assert.equal(sim.finalPrice, 90)
+  assert.equal(sim.savings, 22.5)
+  assert.equal(roundToCents(sim.addedDiscountPercent), 20)
+})
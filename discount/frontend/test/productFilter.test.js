@@ -0,0 +1,54 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { applyFilters, DEFAULT_FILTERS, filtersToSearch, isFiltering, parseFilters } from '../src/lib/productFilter.js'
+
+const products = [
+  { id: 'laptop-se', name: 'Laptop', basePrice: 1000, finalPrice: 1125, discounts: [{ discountId: 'A', percent: 10 }] },
+  { id: 'phone-se', name: 'phone', basePrice: 800, finalPrice: 1000, discounts: [] },
+  { id: 'tablet-se', name: 'Tablet', basePrice: 600, finalPrice: 540, discounts: [{ discountId: 'A', percent: 20 }, { discountId: 'B', percent: 10 }] }
+]
+
+const ids = (list) => list.map(p => p.id)
+const filters = (patch) => ({ ...DEFAULT_FILTERS, ...patch })
+
+test('parseFilters falls back to the defaults for missing or malformed values', () => {
+  assert.deepEqual(parseFilters(new URLSearchParams('')), DEFAULT_FILTERS)
+  assert.deepEqual(parseFilters(new URLSearchParams('minPrice=abc&maxPrice=%20&sort=color&order=up&discounted=yes')), DEFAULT_FILTERS)
+})
+
+test('filters survive a round trip through the query string', () => {
+  const set = filters({ q: 'lap top', discounted: true, minPrice: 0, maxPrice: 999.5, maxDiscounts: 2, sort: 'finalPrice', order: 'desc' })
+  const search = filtersToSearch(set)
+  assert.equal(search, '?q=lap+top&discounted=1&minPrice=0&maxPrice=999.5&maxDiscounts=2&sort=finalPrice&order=desc')
+  assert.deepEqual(parseFilters(new URLSearchParams(search)), set)
+})
+
+test('filtersToSearch leaves out defaults', () => {
+  assert.equal(filtersToSearch(DEFAULT_FILTERS), '')
+  assert.equal(filtersToSearch(filters({ q: '  ', order: 'desc' })), '')
+  assert.equal(filtersToSearch(filters({ sort: 'name' })), '?sort=name')
+})
+
+test('isFiltering ignores sorting', () => {
+  assert.equal(isFiltering(filters({ sort: 'name', order: 'desc' })), false)
+  assert.equal(isFiltering(filters({ minDiscounts: 0 })), true)
+})
+
+test('search matches name or ID case-insensitively', () => {
+  assert.deepEqual(ids(applyFilters(products, filters({ q: 'PHONE' }))), ['phone-se'])
+  assert.deepEqual(ids(applyFilters(products, filters({ q: 'let-s' }))), ['tablet-se'])
+})
+
+test('range filters include their bounds', () => {
+  assert.deepEqual(ids(applyFilters(products, filters({ minPrice: 540, maxPrice: 1000 }))), ['phone-se', 'tablet-se'])
+  assert.deepEqual(ids(applyFilters(products, filters({ minDiscounts: 1, maxDiscounts: 1 }))), ['laptop-se'])
+  assert.deepEqual(ids(applyFilters(products, filters({ discounted: true }))), ['laptop-se', 'tablet-se'])
+})
+
+test('sorting keeps the input untouched and the server order without a sort key', () => {
+  assert.deepEqual(ids(applyFilters(products, filters({ sort: 'name' }))), ['laptop-se', 'phone-se', 'tablet-se'])
+  assert.deepEqual(ids(applyFilters(products, filters({ sort: 'finalPrice', order: 'desc' }))), ['laptop-se', 'phone-se', 'tablet-se'])
+  assert.deepEqual(ids(applyFilters(products, filters({ sort: 'discount', order: 'desc' }))), ['tablet-se', 'laptop-se', 'phone-se'])
+  assert.deepEqual(ids(applyFilters(products, filters({ sort: 'basePrice' }))), ['tablet-se', 'phone-se', 'laptop-se'])
+  assert.deepEqual(ids(products), ['laptop-se', 'phone-se', 'tablet-se'])
+})
@@ -0,0 +1,142 @@
+import { mock, test } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  applyDiscount, dedupe, fetchProducts, getProductState, isOwnApply, setProducts, subscribeProducts, withPending
+} from '../src/lib/productStore.js'
+
+const LAPTOP = { id: 'laptop-se', name: 'Laptop', basePrice: 1000, country: 'Sweden', discounts: [], finalPrice: 1250 }
+
+const json = (body, status = 200) => new Response(JSON.stringify(body), { status })
+
+// Backend stub: each call waits for its reply to be released, so tests can look at the store mid-request
+let calls = []
+globalThis.fetch = (url, init = {}) => new Promise(resolve => {
+  calls.push({ url: String(url), method: init.method ?? 'GET', body: init.body && JSON.parse(init.body), reply: resolve })
+})
+
+const reset = () => {
+  calls = []
+  setProducts('Sweden', [LAPTOP])
+}
+
+const settle = () => new Promise(resolve => setTimeout(resolve, 0))
+
+test('applyDiscount shows the discount as pending, then stores the returned product', async () => {
+  reset()
+  const promise = applyDiscount('laptop-se', { discountId: 'SUMMER', percent: 10 })
+  await settle()
+
+  assert.deepEqual(getProductState().pending['laptop-se'], [{ discountId: 'SUMMER', percent: 10 }])
+  const shown = withPending(getProductState().lists.Sweden.products[0])
+  assert.deepEqual(shown.discounts, [{ discountId: 'SUMMER', percent: 10, pending: true }])
+  assert.equal(shown.finalPrice, 1125)
+
+  const product = { ...LAPTOP, discounts: [{ discountId: 'SUMMER', percent: 10 }], finalPrice: 1125 }
+  calls[0].reply(json({ message: 'Discount applied successfully', product }))
+  await promise
+
+  assert.equal(getProductState().pending['laptop-se'], undefined)
+  assert.deepEqual(getProductState().lists.Sweden.products, [product])
+})
+
+test('applyDiscount rolls the pending discount back when the server refuses it', async () => {
+  reset()
+  const promise = applyDiscount('laptop-se', { discountId: 'BAD', percent: 10 })
+  await settle()
+  assert.equal(getProductState().pending['laptop-se'].length, 1)
+
+  calls[0].reply(json({ message: 'Discount percent must be between 0 (exclusive) and 100 (inclusive)' }, 400))
+  await assert.rejects(promise, { kind: 'http', status: 400 })
+
+  assert.equal(getProductState().pending['laptop-se'], undefined)
+  assert.deepEqual(getProductState().lists.Sweden.products, [LAPTOP])
+})
+
+test('isOwnApply covers in-flight and recent applies from this tab, but not failed or expired ones', async () => {
+  reset()
+  const start = 1_000_000
+  mock.timers.enable({ apis: ['Date'], now: start })
+  try {
+    const applied = applyDiscount('laptop-se', { discountId: 'SUMMER', percent: 10 })
+    await settle()
+    assert.equal(isOwnApply('laptop-se', 'SUMMER'), true)
+    calls[0].reply(json({ message: 'Discount applied successfully', product: LAPTOP }))
+    await applied
+    assert.equal(isOwnApply('laptop-se', 'SUMMER'), true)
+    assert.equal(isOwnApply('laptop-se', 'SUMMER', start + 10000), false)
+
+    const refused = applyDiscount('laptop-se', { discountId: 'BAD', percent: 10 })
+    await settle()
+    calls[1].reply(json({ message: 'Discount percent must be between 0 (exclusive) and 100 (inclusive)' }, 400))
+    await assert.rejects(refused)
+    assert.equal(isOwnApply('laptop-se', 'BAD'), false)
+
+    // Recording a new apply drops expired entries even if nobody asked about them
+    const early = applyDiscount('laptop-se', { discountId: 'EARLY', percent: 5 })
+    await settle()
+    calls[2].reply(json({ message: 'Discount applied successfully', product: LAPTOP }))
+    await early
+    mock.timers.tick(10000)
+    const later = applyDiscount('laptop-se', { discountId: 'LATER', percent: 5 })
+    await settle()
+    assert.equal(isOwnApply('laptop-se', 'EARLY', start), false)
+    calls[3].reply(json({ message: 'Discount applied successfully', product: LAPTOP }))
+    await later
+  } finally {
+    mock.timers.reset()
+  }
+})
+
+test('the same discount applied twice while in flight is sent once', async () => {
+  reset()
+  const first = applyDiscount('laptop-se', { discountId: 'SUMMER', percent: 10 })
+  const second = applyDiscount('laptop-se', { discountId: 'SUMMER', percent: 10 })
+  await settle()
+  assert.equal(first, second)
+  assert.equal(calls.length, 1)
+  assert.equal(getProductState().pending['laptop-se'].length, 1)
+
+  calls[0].reply(json({ message: 'Discount applied successfully', product: LAPTOP }))
+  await first
+
+  // A different discountId is a separate request
+  const other = applyDiscount('laptop-se', { discountId: 'WINTER', percent: 5 })
+  await settle()
+  assert.equal(calls.length, 2)
+  calls[1].reply(json({ message: 'Discount applied successfully', product: LAPTOP }))
+  await other
+})
+
+test('fetchProducts shares one request per country and keeps the cached list on error', async () => {
+  reset()
+  let notified = 0
+  const unsubscribe = subscribeProducts(() => notified++)
+  const a = fetchProducts('Sweden')
+  const b = fetchProducts('Sweden')
+  await settle()
+  assert.equal(calls.length, 1)
+  assert.equal(getProductState().lists.Sweden.status, 'loading')
+  assert.deepEqual(getProductState().lists.Sweden.products, [LAPTOP])
+
+  calls[0].reply(json({ message: 'Unsupported country: Sweden' }, 400))
+  await assert.rejects(a)
+  await assert.rejects(b)
+  unsubscribe()
+
+  const list = getProductState().lists.Sweden
+  assert.equal(list.status, 'error')
+  assert.deepEqual(list.products, [LAPTOP])
+  assert.ok(notified >= 2)
+})
+
+test('dedupe lets a key run again once the previous call has settled', async () => {
+  let runs = 0
+  const fn = async () => ++runs
+  assert.deepEqual(await Promise.all([dedupe('k', fn), dedupe('k', fn)]), [1, 1])
+  assert.equal(await dedupe('k', fn), 2)
+})
+
+test('withPending leaves discounts the server already has alone', () => {
+  const product = { ...LAPTOP, discounts: [{ discountId: 'SUMMER', percent: 10 }], finalPrice: 1125 }
+  assert.equal(withPending(product, [{ discountId: 'SUMMER', percent: 10 }]), product)
+})
@@ -0,0 +1,31 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { matchRoute, pathFor, ROUTES } from '../src/lib/router.js'
+
+test('matchRoute finds static routes, with or without a trailing slash', () => {
+  assert.deepEqual(matchRoute('/'), { name: 'home', params: {} })
+  assert.deepEqual(matchRoute('/logs'), { name: 'logs', params: {} })
+  assert.deepEqual(matchRoute('/logs/'), { name: 'logs', params: {} })
+  assert.deepEqual(matchRoute('/report/'), { name: 'report', params: {} })
+})
+
+test('matchRoute extracts and decodes params', () => {
+  assert.deepEqual(matchRoute('/countries/Sweden'), { name: 'country', params: { country: 'Sweden' } })
+  assert.deepEqual(matchRoute('/products/tv%2055%22'), { name: 'product', params: { id: 'tv 55"' } })
+})
+
+test('matchRoute reports unknown paths as notFound', () => {
+  for (const path of ['/nope', '/products', '/products/a/b', '/logs/extra', '']) {
+    assert.deepEqual(matchRoute(path), { name: 'notFound', params: {} }, path)
+  }
+})
+
+test('pathFor builds paths that match back to the same route', () => {
+  assert.equal(pathFor('product', { id: 'tablet-de' }), '/products/tablet-de')
+  for (const name of Object.keys(ROUTES)) {
+    const params = { country: 'Fr ance', id: 'a/b' }
+    const { name: matched } = matchRoute(pathFor(name, params))
+    assert.equal(matched, name)
+  }
+  assert.deepEqual(matchRoute(pathFor('product', { id: 'a/b' })).params, { id: 'a/b' })
+})
@@ -0,0 +1,27 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { toCurl, toFetch, toHttpie } from '../src/lib/snippets.js'
+
+const put = { method: 'PUT', url: '/products/laptop-se/discount', body: { discountId: "O'Brien", percent: 10 } }
+const get = { method: 'GET', url: '/products?country=Sweden' }
+
+test('toCurl quotes the URL and body for the shell', () => {
+  assert.equal(toCurl(get, 'http://api'), `curl -X GET 'http://api/products?country=Sweden'`)
+  assert.equal(toCurl(put, 'http://api'), [
+    `curl -X PUT 'http://api/products/laptop-se/discount'`,
+    `-H 'Content-Type: application/json'`,
+    `-d '{"discountId":"O'\\''Brien","percent":10}'`
+  ].join(' \\\n  '))
+})
+
+test('toHttpie keeps numbers typed with :=', () => {
+  assert.equal(toHttpie(get, 'http://api'), `http GET 'http://api/products?country=Sweden'`)
+  assert.equal(toHttpie(put, 'http://api'), `http PUT 'http://api/products/laptop-se/discount' 'discountId=O'\\''Brien' 'percent:=10'`)
+})
+
+test('toFetch produces a runnable call', () => {
+  assert.equal(toFetch(get, 'http://api'), 'await fetch("http://api/products?country=Sweden", {\n  method: "GET"\n}).then(r => r.json())')
+  const code = toFetch(put, 'http://api')
+  assert.match(code, /headers: \{ 'Content-Type': 'application\/json' \}/)
+  assert.match(code, /body: JSON\.stringify\(\{"discountId":"O'Brien","percent":10\}\)/)
+})
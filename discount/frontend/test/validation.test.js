@@ -0,0 +1,71 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  checkDiscountId, checkDiscountIdPolicy, checkPercent, DISCOUNT_ID_POLICY, DISCOUNT_ID_RULES, normalizeDiscountId, PERCENT_RULES,
+  validateDiscount
+} from '../src/lib/validation.js'
+
+test('limits come from ApplyDiscountRequest in openapi.json', () => {
+  assert.deepEqual(DISCOUNT_ID_RULES, { maxLength: 50 })
+  assert.deepEqual(DISCOUNT_ID_POLICY, /^[A-Za-z0-9_-]+$/)
+  assert.deepEqual(PERCENT_RULES, { min: 0, exclusiveMin: true, max: 100 })
+})
+
+test('checkDiscountId requires a non-blank code of at most 50 characters', () => {
+  assert.deepEqual(checkDiscountId(''), { key: 'validation.idRequired', params: {} })
+  assert.deepEqual(checkDiscountId('   '), { key: 'validation.idRequired', params: {} })
+  assert.deepEqual(checkDiscountId(undefined), { key: 'validation.idRequired', params: {} })
+  assert.equal(checkDiscountId('X'.repeat(50)), null)
+  assert.deepEqual(checkDiscountId('X'.repeat(51)), { key: 'validation.idTooLong', params: { max: 50, length: 51 } })
+  // Length is counted after trimming, as the code is sent
+  assert.equal(checkDiscountId(` ${'X'.repeat(50)} `), null)
+})
+
+test('normalizeDiscountId trims the code every caller sends', () => {
+  assert.equal(normalizeDiscountId('  SUMMER_24 '), 'SUMMER_24')
+  assert.equal(normalizeDiscountId(undefined), '')
+})
+
+test('the character policy warns about anything but letters, digits, _ and - without making the code invalid', () => {
+  assert.equal(checkDiscountIdPolicy('SUMMER_2024-b'), null)
+  assert.equal(checkDiscountIdPolicy(' SALE '), null)
+  assert.equal(checkDiscountIdPolicy(''), null)
+  assert.deepEqual(checkDiscountIdPolicy('VIP 2024!!'), { key: 'validation.idCharacters', params: { code: 'VIP 2024!!', chars: '␣ !' } })
+  assert.deepEqual(checkDiscountIdPolicy('rea/åä'), { key: 'validation.idCharacters', params: { code: 'rea/åä', chars: '/ å ä' } })
+
+  assert.equal(checkDiscountId('VIP 2024!'), null)
+  const check = validateDiscount({ discountId: 'VIP 2024!', percent: 10 })
+  assert.equal(check.valid, true)
+  assert.deepEqual(check.warnings.map(w => w.key), ['validation.idCharacters'])
+})
+
+test('checkPercent accepts (0, 100] from numbers and input text', () => {
+  for (const ok of [0.01, 50, 100, '0.5', ' 100 ']) assert.equal(checkPercent(ok), null, String(ok))
+  for (const bad of [0, -1, 100.01, '0', '101']) {
+    assert.deepEqual(checkPercent(bad), { key: 'validation.percentRange', params: { min: 0, max: 100 } }, String(bad))
+  }
+})
+
+test('checkPercent tells missing and non-numeric input apart', () => {
+  assert.deepEqual(checkPercent(''), { key: 'validation.percentRequired', params: {} })
+  assert.deepEqual(checkPercent(null), { key: 'validation.percentRequired', params: {} })
+  assert.deepEqual(checkPercent('ten'), { key: 'validation.percentNumber', params: {} })
+  assert.deepEqual(checkPercent(NaN), { key: 'validation.percentNumber', params: {} })
+})
+
+test('validateDiscount collects errors and warns about codes already on the product', () => {
+  assert.deepEqual(validateDiscount({ discountId: '', percent: '' }), {
+    errors: { discountId: { key: 'validation.idRequired', params: {} }, percent: { key: 'validation.percentRequired', params: {} } },
+    warnings: [],
+    valid: false
+  })
+
+  const product = { discounts: [{ discountId: 'SALE', percent: 10 }, { discountId: 'SENDING', percent: 5, pending: true }] }
+  const applied = validateDiscount({ discountId: 'SALE', percent: 20 }, product)
+  assert.equal(applied.valid, true)
+  assert.deepEqual(applied.warnings, [{ key: 'validation.alreadyApplied', params: { code: 'SALE', percent: 10 } }])
+  assert.deepEqual(validateDiscount({ discountId: 'SENDING', percent: 5 }, product).warnings.map(w => w.key), ['validation.alreadyPending'])
+  assert.deepEqual(validateDiscount({ discountId: 'NEW', percent: 5 }, product).warnings, [])
+  // Compared as sent, so a padded code still matches
+  assert.equal(validateDiscount({ discountId: ' SALE ', percent: 5 }, product).warnings[0].key, 'validation.alreadyApplied')
+})
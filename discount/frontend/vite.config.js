@@ -11,6 +11,10 @@ export default defineConfig({
   },
   server: {
     port: 5173,
+    fs: {
+      // openapi.json lives in the backend's static resources and is imported by src/lib/schema.js
+      allow: ['.', path.resolve(__dirname, '../app/src/main/resources/static')],
+    },
     proxy: {
       '/api': {
         target: 'http://localhost:8082',
@@ -0,0 +1,62 @@
+/**
+ * Base class for every error raised by the SDK
+ * status is 0 when no HTTP response was received (network failure or timeout)
+ */
+export class DiscountApiError extends Error {
+  constructor(message, { status = 0, body = null, cause } = {}) {
+    super(message, { cause })
+    this.name = 'DiscountApiError'
+    this.status = status
+    this.body = body
+  }
+}
+
+/**
+ * 400 - invalid country, blank discountId or percent outside (0, 100]
+ * supportedCountries is set when the backend lists them (GET /products with an unknown country)
+ */
+export class BadRequestError extends DiscountApiError {
+  constructor(message, options = {}) {
+    super(message, { ...options, status: 400 })
+    this.name = 'BadRequestError'
+    this.supportedCountries = options.body?.supportedCountries ?? null
+  }
+}
+
+/** 404 - product does not exist */
+export class NotFoundError extends DiscountApiError {
+  constructor(message, options = {}) {
+    super(message, { ...options, status: 404 })
+    this.name = 'NotFoundError'
+  }
+}
+
+/** 5xx - backend or database failure */
+export class ServerError extends DiscountApiError {
+  constructor(message, options = {}) {
+    super(message, options)
+    this.name = 'ServerError'
+  }
+}
+
+/** No response: connection refused, DNS failure or timeout */
+export class NetworkError extends DiscountApiError {
+  constructor(message, options = {}) {
+    super(message, { ...options, status: 0 })
+    this.name = 'NetworkError'
+  }
+}
+
+/**
+ * Map an HTTP error response to the matching error class
+ * @param {number} status HTTP status code
+ * @param {*} body Parsed response body ({error} payload from the backend when available)
+ * @returns {DiscountApiError}
+ */
+export function errorFromResponse(status, body) {
+  const message = typeof body?.error === 'string' ? body.error : `HTTP ${status}`
+  if (status === 400) return new BadRequestError(message, { body })
+  if (status === 404) return new NotFoundError(message, { body })
+  if (status >= 500) return new ServerError(message, { status, body })
+  return new DiscountApiError(message, { status, body })
+}
@@ -0,0 +1,66 @@
+export interface Discount {
+  discountId: string
+  percent: number
+}
+
+export interface Product {
+  id: string
+  name: string
+  basePrice: number
+  country: string
+  discounts: Discount[]
+  finalPrice: number
+}
+
+export interface ApplyDiscountResult {
+  /** true when this call persisted the discount */
+  applied: boolean
+  /** true when the discountId was already on the product (idempotent no-op) */
+  alreadyApplied: boolean
+  message: 'Discount applied successfully' | 'Discount already applied'
+  product: Product
+}
+
+export interface HealthResponse {
+  status: string
+  [key: string]: unknown
+}
+
+export interface ClientOptions {
+  baseUrl: string
+  timeout?: number
+  retries?: number
+  retryDelay?: number
+  fetch?: typeof fetch
+}
+
+export interface DiscountClient {
+  listProducts(country: string): Promise<Product[]>
+  applyDiscount(productId: string, discount: Discount): Promise<ApplyDiscountResult>
+  health(): Promise<HealthResponse>
+}
+
+export declare const DISCOUNT_APPLIED: 'Discount applied successfully'
+export declare const DISCOUNT_ALREADY_APPLIED: 'Discount already applied'
+
+export declare function createDiscountClient(options: ClientOptions): DiscountClient
+
+export declare class DiscountApiError extends Error {
+  status: number
+  body: unknown
+}
+
+export declare class BadRequestError extends DiscountApiError {
+  status: 400
+  supportedCountries: string[] | null
+}
+
+export declare class NotFoundError extends DiscountApiError {
+  status: 404
+}
+
+export declare class ServerError extends DiscountApiError {}
+
+export declare class NetworkError extends DiscountApiError {
+  status: 0
+}
@@ -0,0 +1,115 @@
+import { DiscountApiError, NetworkError, errorFromResponse } from './errors.js'
+
+export { DiscountApiError, BadRequestError, NotFoundError, ServerError, NetworkError } from './errors.js'
+
+/** Messages returned by PUT /products/{id}/discount */
+export const DISCOUNT_APPLIED = 'Discount applied successfully'
+export const DISCOUNT_ALREADY_APPLIED = 'Discount already applied'
+
+// Retrying is safe for PUT as well: the backend is idempotent on discountId
+const RETRYABLE_STATUS = new Set([502, 503, 504])
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+/**
+ * Create a Discount API client
+ * @param {object} options
+ * @param {string} options.baseUrl Server root, e.g. http://localhost:8082
+ * @param {number} options.timeout Per-attempt timeout in ms
+ * @param {number} options.retries Extra attempts after network errors, timeouts and 502/503/504
+ * @param {number} options.retryDelay Initial backoff in ms, doubled after each attempt
+ * @param {Function} options.fetch fetch implementation (defaults to globalThis.fetch)
+ */
+export function createDiscountClient({
+  baseUrl,
+  timeout = 10000,
+  retries = 2,
+  retryDelay = 200,
+  fetch: fetchImpl = globalThis.fetch
+} = {}) {
+  if (!baseUrl) throw new TypeError('baseUrl is required')
+  if (typeof fetchImpl !== 'function') throw new TypeError('No fetch implementation available; pass options.fetch')
+  const root = baseUrl.replace(/\/+$/, '')
+
+  const attempt = async (method, path, body) => {
+    let res
+    try {
+      res = await fetchImpl(`${root}${path}`, {
+        method,
+        headers: body !== undefined ? { 'Content-Type': 'application/json' } : undefined,
+        body: body !== undefined ? JSON.stringify(body) : undefined,
+        signal: AbortSignal.timeout(timeout)
+      })
+    } catch (e) {
+      const reason = e.name === 'TimeoutError' ? `timed out after ${timeout}ms` : e.message
+      throw new NetworkError(`${method} ${path} failed: ${reason}`, { cause: e })
+    }
+
+    const text = await res.text()
+    let data = null
+    if (text) {
+      try {
+        data = JSON.parse(text)
+      } catch {
+        if (res.ok) throw new DiscountApiError(`${method} ${path} returned invalid JSON`, { status: res.status, body: text })
+        data = text
+      }
+    }
+    if (!res.ok) throw errorFromResponse(res.status, data)
+    return data
+  }
+
+  const request = async (method, path, body) => {
+    for (let i = 0; ; i++) {
+      try {
+        return await attempt(method, path, body)
+      } catch (e) {
+        const retryable = e instanceof NetworkError || RETRYABLE_STATUS.has(e.status)
+        if (!retryable || i >= retries) throw e
+        await sleep(retryDelay * 2 ** i)
+      }
+    }
+  }
+
+  return {
+    /**
+     * GET /products?country={country}
+     * @param {string} country Sweden, Germany or France (case-insensitive)
+     * @returns {Promise<object[]>} Products with calculated finalPrice
+     * @throws {BadRequestError} Missing or unsupported country (see error.supportedCountries)
+     */
+    listProducts(country) {
+      return request('GET', `/products?country=${encodeURIComponent(country ?? '')}`)
+    },
+
+    /**
+     * PUT /products/{id}/discount
+     * Safe to call repeatedly with the same discountId: the second call reports alreadyApplied
+     * @param {string} productId Product to discount
+     * @param {{discountId: string, percent: number}} discount Idempotency key and percentage in (0, 100]
+     * @returns {Promise<{applied: boolean, alreadyApplied: boolean, message: string, product: object}>}
+     * @throws {BadRequestError} Blank discountId or percent out of range
+     * @throws {NotFoundError} Unknown product
+     */
+    async applyDiscount(productId, { discountId, percent } = {}) {
+      const data = await request('PUT', `/products/${encodeURIComponent(productId)}/discount`, { discountId, percent })
+      if (data?.message !== DISCOUNT_APPLIED && data?.message !== DISCOUNT_ALREADY_APPLIED) {
+        throw new DiscountApiError(`Unexpected discount response: ${data?.message}`, { status: 200, body: data })
+      }
+      return {
+        applied: data.message === DISCOUNT_APPLIED,
+        alreadyApplied: data.message === DISCOUNT_ALREADY_APPLIED,
+        message: data.message,
+        product: data.product
+      }
+    },
+
+    /**
+     * GET /health
+     * @returns {Promise<object>} Health payload, e.g. {status: 'healthy', database: true}
+     */
+    health() {
+      return request('GET', '/health')
+    }
+  }
+}
@@ -0,0 +1,115 @@
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  createDiscountClient,
+  BadRequestError,
+  NotFoundError,
+  ServerError,
+  NetworkError,
+  DiscountApiError
+} from '../src/index.js'
+import { startStubServer } from './stubServer.js'
+
+let stub
+let client
+
+before(async () => {
+  stub = await startStubServer()
+  client = createDiscountClient({ baseUrl: stub.baseUrl, retryDelay: 1 })
+})
+
+after(() => stub.close())
+
+test('health returns the backend payload', async () => {
+  const health = await client.health()
+  assert.equal(health.status, 'healthy')
+})
+
+test('listProducts returns products with final prices', async () => {
+  const products = await client.listProducts('Sweden')
+  assert.equal(products.length, 1)
+  assert.equal(products[0].id, 'laptop-se')
+  assert.equal(products[0].finalPrice, 1250)
+})
+
+test('listProducts matches the country case-insensitively', async () => {
+  const products = await client.listProducts('sweden')
+  assert.deepEqual(products.map(p => p.id), ['laptop-se'])
+})
+
+test('listProducts with an unsupported country throws BadRequestError with supportedCountries', async () => {
+  await assert.rejects(client.listProducts('Norway'), (e) => {
+    assert.ok(e instanceof BadRequestError)
+    assert.ok(e instanceof DiscountApiError)
+    assert.equal(e.status, 400)
+    assert.equal(e.message, 'Unsupported country: Norway')
+    assert.deepEqual(e.supportedCountries, ['Sweden', 'Germany', 'France'])
+    return true
+  })
+})
+
+test('applyDiscount tells a new discount apart from an already applied one', async () => {
+  const first = await client.applyDiscount('tablet-de', { discountId: 'SUMMER24', percent: 10 })
+  assert.equal(first.applied, true)
+  assert.equal(first.alreadyApplied, false)
+  assert.equal(first.message, 'Discount applied successfully')
+  assert.equal(first.product.finalPrice, 642.6)
+
+  const second = await client.applyDiscount('tablet-de', { discountId: 'SUMMER24', percent: 10 })
+  assert.equal(second.applied, false)
+  assert.equal(second.alreadyApplied, true)
+  assert.equal(second.product.discounts.length, 1)
+})
+
+test('concurrent applies of the same discountId report exactly one applied', async () => {
+  const results = await Promise.all(
+    Array.from({ length: 5 }, () => client.applyDiscount('laptop-se', { discountId: 'RACE', percent: 5 }))
+  )
+  assert.equal(results.filter(r => r.applied).length, 1)
+  assert.equal(results.filter(r => r.alreadyApplied).length, 4)
+})
+
+test('applyDiscount validation failures throw BadRequestError', async () => {
+  await assert.rejects(client.applyDiscount('laptop-se', { discountId: ' ', percent: 5 }), BadRequestError)
+  await assert.rejects(client.applyDiscount('laptop-se', { discountId: 'X', percent: 150 }), {
+    name: 'BadRequestError',
+    message: 'Discount percent must be between 0 (exclusive) and 100 (inclusive)'
+  })
+})
+
+test('applyDiscount on an unknown product throws NotFoundError', async () => {
+  await assert.rejects(client.applyDiscount('missing', { discountId: 'X', percent: 5 }), (e) => {
+    assert.ok(e instanceof NotFoundError)
+    assert.equal(e.status, 404)
+    return true
+  })
+})
+
+test('server failures throw ServerError', async () => {
+  await assert.rejects(client.applyDiscount('explode', { discountId: 'X', percent: 5 }), (e) => {
+    assert.ok(e instanceof ServerError)
+    assert.equal(e.status, 500)
+    assert.equal(e.message, 'Failed to apply discount: boom')
+    return true
+  })
+})
+
+test('503 responses are retried', async () => {
+  stub.state.failNext = 2
+  const products = await client.listProducts('Germany')
+  assert.equal(products[0].id, 'tablet-de')
+})
+
+test('503 responses beyond the retry budget surface as ServerError', async () => {
+  stub.state.failNext = 3
+  await assert.rejects(client.listProducts('Germany'), { name: 'ServerError', status: 503 })
+})
+
+test('unreachable server throws NetworkError', async () => {
+  const offline = createDiscountClient({ baseUrl: 'http://127.0.0.1:1', retries: 0 })
+  await assert.rejects(offline.health(), NetworkError)
+})
+
+test('baseUrl is required', () => {
+  assert.throws(() => createDiscountClient({}), TypeError)
+})
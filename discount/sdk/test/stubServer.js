@@ -0,0 +1,80 @@
+import http from 'node:http'
+
+const VAT = { sweden: 0.25, germany: 0.19, france: 0.20 }
+
+/**
+ * Minimal in-process stand-in for the Ktor backend
+ * Mirrors its status codes and {error} payloads; failNext makes the next N requests return 503
+ */
+export async function startStubServer() {
+  const products = new Map([
+    ['laptop-se', { id: 'laptop-se', name: 'Gaming Laptop', basePrice: 1000, country: 'Sweden', discounts: [] }],
+    ['tablet-de', { id: 'tablet-de', name: 'Tablet Pro', basePrice: 600, country: 'Germany', discounts: [] }]
+  ])
+  const state = { failNext: 0, requests: 0 }
+
+  const toResponse = (p) => {
+    const factor = p.discounts.reduce((acc, d) => acc * (1 - d.percent / 100), 1)
+    const raw = p.basePrice * factor * (1 + VAT[p.country.toLowerCase()])
+    return { ...p, finalPrice: Math.round(raw * 100) / 100 }
+  }
+
+  const send = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' })
+    res.end(typeof body === 'string' ? body : JSON.stringify(body))
+  }
+
+  const server = http.createServer(async (req, res) => {
+    state.requests++
+    if (state.failNext > 0) {
+      state.failNext--
+      return send(res, 503, '<html>Service Unavailable</html>')
+    }
+
+    const url = new URL(req.url, 'http://stub')
+    let raw = ''
+    for await (const chunk of req) raw += chunk
+
+    if (req.method === 'GET' && url.pathname === '/health') {
+      return send(res, 200, { status: 'healthy', database: true, dbType: 'PostgreSQL' })
+    }
+
+    if (req.method === 'GET' && url.pathname === '/products') {
+      const country = url.searchParams.get('country')
+      if (!country) return send(res, 400, { error: 'Country parameter is required' })
+      if (!(country.toLowerCase() in VAT)) {
+        return send(res, 400, { error: `Unsupported country: ${country}`, supportedCountries: ['Sweden', 'Germany', 'France'] })
+      }
+      return send(res, 200, [...products.values()].filter(p => p.country.toLowerCase() === country.toLowerCase()).map(toResponse))
+    }
+
+    const match = url.pathname.match(/^\/products\/([^/]+)\/discount$/)
+    if (req.method === 'PUT' && match) {
+      const { discountId, percent } = JSON.parse(raw)
+      if (!discountId?.trim()) return send(res, 400, { error: 'Discount ID cannot be empty' })
+      if (!(percent > 0 && percent <= 100)) {
+        return send(res, 400, { error: 'Discount percent must be between 0 (exclusive) and 100 (inclusive)' })
+      }
+      if (match[1] === 'explode') return send(res, 500, { error: 'Failed to apply discount: boom' })
+      const product = products.get(decodeURIComponent(match[1]))
+      if (!product) return send(res, 404, { error: `Product not found: ${match[1]}` })
+      const exists = product.discounts.some(d => d.discountId === discountId)
+      if (!exists) product.discounts.push({ discountId, percent })
+      return send(res, 200, {
+        message: exists ? 'Discount already applied' : 'Discount applied successfully',
+        product: toResponse(product)
+      })
+    }
+
+    send(res, 404, { error: 'Not found' })
+  })
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+  const { port } = server.address()
+
+  return {
+    baseUrl: `http://127.0.0.1:${port}`,
+    state,
+    close: () => new Promise(resolve => server.close(resolve))
+  }
+}